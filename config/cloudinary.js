@@ -1,13 +1,8 @@
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
+const { cloudinary } = require('./storage');
+const { storeImage } = require('../utils/images');
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Use memory storage for multer and upload to cloudinary manually
+// Use memory storage for multer and hand the buffer to the storage driver
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
@@ -23,26 +18,17 @@ const upload = multer({
   }
 });
 
-// Helper function to upload to cloudinary
-const uploadToCloudinary = (buffer, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const uploadOptions = {
-      folder: 'bookworm',
-      transformation: [{ width: 400, height: 600, crop: 'fill' }],
-      ...options
-    };
+// Helper function to store an uploaded image with the configured storage driver
+// (see config/storage.js). Kept under its old name; `secure_url` is the main
+// image URL, `variants` and `assets` come from storeImage.
+const uploadToCloudinary = async (buffer, options = {}) => {
+  const image = await storeImage(buffer, options);
+  return { ...image, secure_url: image.url };
+};
 
-    cloudinary.uploader.upload_stream(
-      uploadOptions,
-      (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      }
-    ).end(buffer);
-  });
+// Placeholder used for books created without a cover (e.g. bulk imports)
+const getDefaultCoverUrl = () => {
+  return process.env.DEFAULT_COVER_URL || 'https://placehold.co/400x600?text=No+Cover';
 };
 
-module.exports = { cloudinary, upload, uploadToCloudinary };
\ No newline at end of file
+module.exports = { cloudinary, upload, uploadToCloudinary, getDefaultCoverUrl };
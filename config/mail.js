@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes the same `send(message)` function so the rest of
+// the app doesn't care where mail actually ends up.
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each message as a JSON file, handy for local development
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+      return { fileName };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+// Keeps messages in memory so tests can inspect what would have been sent
+const outbox = [];
+
+const createMemoryTransport = () => ({
+  name: 'memory',
+  send: async (message) => {
+    outbox.push({ ...message, sentAt: new Date() });
+    return {};
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+  memory: createMemoryTransport
+};
+
+let transport;
+
+// Without explicit config, mail goes to SMTP when a host is set. The console
+// fallback prints reset and verification links, so it's development only.
+const defaultTransportName = () => {
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Mail is not configured: set SMTP_HOST or MAIL_TRANSPORT');
+  }
+  return 'console';
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || defaultTransportName();
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Helper function to send an email through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'BookWorm <no-reply@bookworm.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, getTransport, outbox };
@@ -0,0 +1,36 @@
+// OpenID Connect providers, configured as JSON in OIDC_PROVIDERS, e.g.
+// {"corp": {"issuer": "https://id.example.com", "clientId": "bookworm",
+//   "clientSecret": "...", "redirectUri": "https://api.example.com/api/auth/oidc/corp/callback"}}
+// `scope` defaults to "openid email profile".
+
+let providers;
+
+const loadProviders = () => {
+  if (!providers) {
+    try {
+      providers = JSON.parse(process.env.OIDC_PROVIDERS || '{}');
+    } catch (error) {
+      console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+      providers = {};
+    }
+  }
+  return providers;
+};
+
+const getOidcProvider = (name) => {
+  const config = loadProviders()[name];
+  if (!config || !config.issuer || !config.clientId || !config.redirectUri) {
+    return null;
+  }
+
+  return {
+    name,
+    scope: 'openid email profile',
+    ...config,
+    issuer: config.issuer.replace(/\/$/, '')
+  };
+};
+
+const getOidcProviderNames = () => Object.keys(loadProviders());
+
+module.exports = { getOidcProvider, getOidcProviderNames };
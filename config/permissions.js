@@ -0,0 +1,39 @@
+// Named permissions that can be granted to roles
+const PERMISSIONS = [
+  'reviews:moderate',
+  'books:write',
+  'genres:write',
+  'tutorials:write',
+  'users:manage'
+];
+
+// No longer granted; removed from stored roles and API keys on startup.
+// `books:read` guarded nothing, since reading the catalog needs no login.
+const RETIRED_PERMISSIONS = ['books:read'];
+
+// Roles created on startup. Their permissions can be changed through
+// /api/roles afterwards, except for `admin` which always has everything.
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    description: 'Regular reader',
+    permissions: []
+  },
+  {
+    name: 'moderator',
+    description: 'Moderates reader reviews',
+    permissions: ['reviews:moderate']
+  },
+  {
+    name: 'librarian',
+    description: 'Maintains the catalog, genres and tutorials',
+    permissions: ['books:write', 'genres:write', 'tutorials:write']
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: PERMISSIONS
+  }
+];
+
+module.exports = { PERMISSIONS, RETIRED_PERMISSIONS, DEFAULT_ROLES };
@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+// Image storage drivers. STORAGE_DRIVER picks one of:
+//   cloudinary - CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
+//   local      - files under UPLOADS_DIR (default ./uploads), served at /uploads;
+//                UPLOADS_URL overrides the public base URL
+//   s3         - S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY;
+//                S3_ENDPOINT and S3_FORCE_PATH_STYLE for S3-compatible services,
+//                S3_PUBLIC_URL for a CDN or custom domain
+// Without STORAGE_DRIVER, Cloudinary is used when configured and local disk otherwise.
+// Every driver stores a buffer under a key and returns its public URL.
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const getLocalUploadsDir = () => path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+
+const cloudinaryDriver = {
+  name: 'cloudinary',
+  put: (key, buffer) => new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+      { public_id: key.replace(/\.[^./]+$/, ''), resource_type: 'image', overwrite: true },
+      (error, result) => (error ? reject(error) : resolve(result.secure_url))
+    ).end(buffer);
+  }),
+  remove: (key) => cloudinary.uploader.destroy(key.replace(/\.[^./]+$/, ''), { invalidate: true })
+};
+
+const localDriver = {
+  name: 'local',
+  put: async (key, buffer) => {
+    const filePath = path.join(getLocalUploadsDir(), key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${(process.env.UPLOADS_URL || '/uploads').replace(/\/$/, '')}/${key}`;
+  },
+  remove: (key) => fs.rm(path.join(getLocalUploadsDir(), key), { force: true })
+};
+
+let s3Client;
+
+const getS3Client = () => {
+  if (!s3Client) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+  return s3Client;
+};
+
+const getS3PublicUrl = (key) => {
+  const bucket = process.env.S3_BUCKET;
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}/${key}`;
+  }
+  return `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+};
+
+const s3Driver = {
+  name: 's3',
+  put: async (key, buffer, contentType) => {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3Client().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+    return getS3PublicUrl(key);
+  },
+  remove: async (key) => {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3Client().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+  }
+};
+
+const drivers = {
+  [cloudinaryDriver.name]: cloudinaryDriver,
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver
+};
+
+const getStorageDriverName = () => (
+  process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')
+);
+
+// The configured driver, or a named one (assets remember the driver that stored them)
+const getStorageDriver = (name = getStorageDriverName()) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+};
+
+module.exports = { cloudinary, getStorageDriver, getStorageDriverName, getLocalUploadsDir };
@@ -1,33 +1,115 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { getRolePermissions } = require('../utils/roles');
+const { hashToken } = require('../utils/tokens');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
+      if (req.header('X-API-Key')) {
+        return res.status(403).json({ message: 'API keys are not accepted for this endpoint' });
+      }
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a session so they can be revoked server-side
+    if (!decoded.sessionId) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    const restriction = user.getRestrictionMessage();
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
     req.user = user;
+    req.authSession = session;
+    req.permissions = await getRolePermissions(user.role);
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-const adminAuth = async (req, res, next) => {
+// Like `auth`, but lets anonymous requests through without `req.user`
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+// Authenticate a service integration through the X-API-Key header.
+// The key's scopes are narrowed to what its owner's role still allows.
+const apiKeyAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin required.' });
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(req.header('X-API-Key')) });
+
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(401).json({ message: 'API key is not valid' });
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user) {
+      return res.status(401).json({ message: 'API key is not valid' });
+    }
+
+    const restriction = user.getRestrictionMessage();
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
+    // Track usage, at most once a minute per key
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+    }
+
+    const ownerPermissions = await getRolePermissions(user.role);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.permissions = apiKey.scopes.filter(scope => ownerPermissions.includes(scope));
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'API key is not valid' });
+  }
+};
+
+// REQUIRE_ADMIN_2FA=true makes two-factor authentication mandatory for
+// admins and any other role that grants a permission
+const isTwoFactorRequired = (permissions) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && permissions.length > 0;
+};
+
+// Allow access only to users (or API keys) granted all of the given permissions
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const authenticate = req.header('X-API-Key') ? apiKeyAuth : auth;
+
+    await authenticate(req, res, () => {
+      const missing = permissions.filter(permission => !req.permissions.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `Access denied. Missing permission: ${missing.join(', ')}` });
+      }
+      if (!req.apiKey && isTwoFactorRequired(req.permissions) && !req.user.twoFactor.enabled) {
+        return res.status(403).json({ message: 'Two-factor authentication must be enabled for this action' });
       }
       next();
     });
@@ -36,4 +118,12 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+// Use after `auth` to restrict unverified accounts
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+module.exports = { auth, optionalAuth, requirePermission, requireVerifiedEmail, isTwoFactorRequired };
\ No newline at end of file
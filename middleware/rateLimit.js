@@ -0,0 +1,99 @@
+// Sliding-window rate limiting. Stores implement
+// `hit(key, { windowMs, max })` -> { allowed, remaining, retryAfterMs }
+// so a shared store (e.g. Redis) can apply the window atomically.
+
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop keys whose window has passed so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async hit(key, { windowMs, max }) {
+    const now = Date.now();
+    const entry = this.hits.get(key) || { timestamps: [], windowMs };
+    entry.timestamps = entry.timestamps.filter(time => time > now - windowMs);
+    entry.windowMs = windowMs;
+
+    if (entry.timestamps.length >= max) {
+      this.hits.set(key, entry);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: entry.timestamps[0] + windowMs - now
+      };
+    }
+
+    entry.timestamps.push(now);
+    this.hits.set(key, entry);
+
+    return {
+      allowed: true,
+      remaining: max - entry.timestamps.length,
+      retryAfterMs: 0
+    };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      const latest = entry.timestamps[entry.timestamps.length - 1];
+      if (!latest || latest <= now - entry.windowMs) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+let defaultStore;
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = new MemoryStore();
+  }
+  return defaultStore;
+};
+
+// Use a different store (e.g. one shared between instances) for all limiters
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+const rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  keyPrefix = 'rl',
+  keyGenerator = (req) => req.ip,
+  store,
+  message = 'Too many requests, please try again later'
+} = {}) => {
+  return async (req, res, next) => {
+    try {
+      const key = `${keyPrefix}:${keyGenerator(req)}`;
+      const result = await (store || getDefaultStore()).hit(key, { windowMs, max });
+
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message, retryAfter });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit, MemoryStore, setDefaultStore };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bio: {
+    type: String,
+    default: ''
+  },
+  photo: {
+    type: String,
+    default: ''
+  },
+  // Stored files behind an uploaded photo, removed when it is replaced
+  photoAssets: [{
+    _id: false,
+    driver: { type: String, required: true },
+    key: { type: String, required: true }
+  }],
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name + aliases, used to match "J.R.R. Tolkien" and "J. R. R. Tolkien"
+  nameKeys: [{
+    type: String,
+    index: true
+  }]
+}, {
+  timestamps: true
+});
+
+authorSchema.index({ name: 'text', aliases: 'text' });
+
+// Lowercase and drop everything but letters and digits
+authorSchema.statics.normalizeName = function(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+};
+
+authorSchema.pre('validate', function() {
+  const Author = this.constructor;
+  const keys = [this.name, ...this.aliases].map(name => Author.normalizeName(name)).filter(Boolean);
+  this.nameKeys = [...new Set(keys)];
+});
+
+module.exports = mongoose.model('Author', authorSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -6,24 +7,60 @@ const bookSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Display string built from `authors`, kept for search and older clients
   author: {
     type: String,
     required: true,
     trim: true
   },
+  authors: [{
+    _id: false,
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['author', 'translator', 'illustrator'],
+      default: 'author'
+    }
+  }],
   description: {
     type: String,
     required: true
   },
+  // Primary genre; `genres` holds every genre including the primary one
   genre: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Genre',
     required: true
   },
+  genres: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre'
+  }],
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
   coverImage: {
     type: String,
     required: true
   },
+  // Resized versions of an uploaded cover
+  coverImages: {
+    small: { type: String },
+    medium: { type: String },
+    large: { type: String }
+  },
+  // Stored files behind an uploaded cover (see utils/images.js), removed when
+  // the cover is replaced or the book is purged
+  coverAssets: [{
+    _id: false,
+    driver: { type: String, required: true },
+    key: { type: String, required: true }
+  }],
   totalPages: {
     type: Number,
     default: 0
@@ -31,11 +68,40 @@ const bookSchema = new mongoose.Schema({
   publishedYear: {
     type: Number
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  // Reading order within the series; fractional for novellas (2.5)
+  seriesPosition: {
+    type: Number,
+    min: 0
+  },
   isbn: {
     type: String,
     unique: true,
     sparse: true
   },
+  // Edition details; editions of the same book share a work
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['hardcover', 'paperback', 'ebook', 'audiobook', 'other']
+  },
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  publisher: {
+    type: String,
+    trim: true
+  },
   averageRating: {
     type: Number,
     default: 0,
@@ -57,5 +123,20 @@ const bookSchema = new mongoose.Schema({
 
 // Index for search functionality
 bookSchema.index({ title: 'text', author: 'text', description: 'text' });
+bookSchema.index({ 'authors.author': 1 });
+bookSchema.index({ series: 1, seriesPosition: 1 });
+bookSchema.index({ work: 1 });
+bookSchema.index({ genres: 1 });
+bookSchema.index({ tags: 1 });
+
+// Keep the primary genre in `genres`
+bookSchema.pre('validate', function() {
+  const primaryId = this.populated('genre') || this.genre;
+  if (primaryId && !this.genres.some(id => id.equals(primaryId))) {
+    this.genres.unshift(primaryId);
+  }
+});
+
+bookSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// A book submitted by a reader. Moderators approve it (creating the Book),
+// optionally after editing it, or reject it with a reason.
+const bookSuggestionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  author: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  genre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  isbn: {
+    type: String,
+    trim: true
+  },
+  totalPages: {
+    type: Number,
+    min: 0
+  },
+  publishedYear: {
+    type: Number
+  },
+  publisher: {
+    type: String,
+    trim: true
+  },
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  format: {
+    type: String,
+    enum: ['hardcover', 'paperback', 'ebook', 'audiobook', 'other']
+  },
+  coverImage: {
+    type: String
+  },
+  coverImages: {
+    small: { type: String },
+    medium: { type: String },
+    large: { type: String }
+  },
+  coverAssets: [{
+    _id: false,
+    driver: { type: String, required: true },
+    key: { type: String, required: true }
+  }],
+  // Shelf the book goes on for the submitter once it is approved
+  shelf: {
+    type: String,
+    enum: ['wantToRead', 'currentlyReading', 'read'],
+    default: null
+  },
+  // Existing books that looked similar when the suggestion was submitted
+  possibleDuplicates: [{
+    _id: false,
+    book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+    score: { type: Number },
+    reasons: [{ type: String }]
+  }],
+  // The book created on approval
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+bookSuggestionSchema.index({ user: 1, createdAt: -1 });
+bookSuggestionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BookSuggestion', bookSuggestionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const genreSchema = new mongoose.Schema({
   name: {
@@ -10,9 +11,23 @@ const genreSchema = new mongoose.Schema({
   description: {
     type: String,
     trim: true
-  }
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre',
+    default: null
+  },
+  // Path from the root genre down to the parent, for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Genre'
+  }]
 }, {
   timestamps: true
 });
 
+genreSchema.index({ ancestors: 1 });
+
+genreSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Genre', genreSchema);
\ No newline at end of file
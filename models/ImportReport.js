@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const importRowSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['created', 'updated', 'failed'],
+    required: true
+  },
+  title: { type: String },
+  isbn: { type: String },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+  // Validation errors for failed rows, warnings otherwise
+  messages: [{ type: String }]
+}, { _id: false });
+
+const importReportSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  createGenres: {
+    type: Boolean,
+    default: false
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  createdGenreNames: [{ type: String }],
+  rows: [importRowSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ImportReport', importReportSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry in a reader's progress history: a progress update or a timed
+// reading session logged by hand
+const readingSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  startPage: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  endPage: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Pages read in this session, kept in sync with the start/end page
+  pagesRead: {
+    type: Number,
+    default: 0
+  },
+  minutes: {
+    type: Number,
+    min: 0
+  },
+  // When the reading happened
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['progress', 'manual'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+readingSessionSchema.index({ user: 1, date: -1 });
+readingSessionSchema.index({ user: 1, book: 1, date: -1 });
+
+readingSessionSchema.pre('validate', function() {
+  this.pagesRead = Math.max(0, this.endPage - this.startPage);
+});
+
+module.exports = mongoose.model('ReadingSession', readingSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const reviewSchema = new mongoose.Schema({
   user: {
@@ -34,4 +35,6 @@ const reviewSchema = new mongoose.Schema({
 // Ensure one review per user per book
 reviewSchema.index({ user: 1, book: 1 }, { unique: true });
 
+reviewSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
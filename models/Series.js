@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Planned number of books, when the series isn't finished yet
+  plannedCount: {
+    type: Number,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A reader's own shelf ("Owned", "DNF", "Book club 2026"). Unlike the reading
+// status on UserBook, a book can be on any number of these.
+const shelfSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Position in the user's shelf list
+  order: {
+    type: Number,
+    default: 0
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+shelfSchema.index({ user: 1, name: 1 }, { unique: true });
+shelfSchema.index({ user: 1, order: 1 });
+
+module.exports = mongoose.model('Shelf', shelfSchema);
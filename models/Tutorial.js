@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const tutorialSchema = new mongoose.Schema({
   title: {
@@ -36,4 +37,6 @@ const tutorialSchema = new mongoose.Schema({
   timestamps: true
 });
 
+tutorialSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Tutorial', tutorialSchema);
\ No newline at end of file
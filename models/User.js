@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { verifyCode } = require('../utils/totp');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+// Failed logins beyond LOGIN_DELAY_AFTER wait 1s, 2s, 4s... before the next
+// attempt; MAX_LOGIN_ATTEMPTS in a row lock the account for LOCK_DURATION.
+const LOGIN_DELAY_AFTER = 3;
+const MAX_LOGIN_ATTEMPTS = 10;
+const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Codes that may be tried against one 2FA login challenge
+const MAX_CHALLENGE_ATTEMPTS = 5;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,11 +37,94 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Stored files behind an uploaded photo, removed when it is replaced
+  photoAssets: [{
+    _id: false,
+    driver: { type: String, required: true },
+    key: { type: String, required: true }
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address waiting for verification after an email change
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Name of a Role document (see config/permissions.js)
   role: {
     type: String,
-    enum: ['user', 'admin'],
     default: 'user'
   },
+  // Linked external identities (OIDC providers)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Secret generated during enrollment, until the first code confirms it
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false },
+    // Id of the one open login challenge and the codes tried against it
+    challengeId: { type: String, select: false },
+    challengeAttempts: { type: Number, select: false }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  suspendedUntil: {
+    type: Date
+  },
+  bannedAt: {
+    type: Date
+  },
+  // Reason shown to the user for a suspension or ban
+  suspensionReason: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Hide a banned user's reviews and activity from other readers
+  hideContent: {
+    type: Boolean,
+    default: false
+  },
   readingGoal: {
     year: { type: Number, default: new Date().getFullYear() },
     target: { type: Number, default: 12 },
@@ -45,17 +142,17 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
 });
 
 // Compare password method
@@ -63,4 +160,160 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a single-use email verification token (only its hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Generate a single-use password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Check a TOTP code against the enrolled secret (requires +twoFactor.secret +twoFactor.lastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.secret) return false;
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Use up a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.consumeRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Accept either a TOTP code or a recovery code (requires the 2FA fields)
+userSchema.methods.checkSecondFactor = function({ code, recoveryCode } = {}) {
+  if (code) {
+    return this.verifyTwoFactorCode(code);
+  }
+  if (recoveryCode) {
+    return this.consumeRecoveryCode(recoveryCode);
+  }
+  return false;
+};
+
+// Open a 2FA login challenge, replacing any earlier one, and return its id
+userSchema.methods.startTwoFactorChallenge = async function() {
+  const challengeId = generateToken(16);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 }
+  );
+  return challengeId;
+};
+
+// Count one code attempt against a challenge. False once the challenge is
+// used up, replaced or out of attempts.
+userSchema.statics.claimTwoFactorChallengeAttempt = async function(userId, challengeId) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      'twoFactor.challengeId': challengeId,
+      'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS }
+    },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Close a challenge after a valid code. False if another request got there first.
+userSchema.statics.completeTwoFactorChallenge = async function(userId, challengeId) {
+  const result = await this.updateOne(
+    { _id: userId, 'twoFactor.challengeId': challengeId },
+    { $unset: { 'twoFactor.challengeId': 1, 'twoFactor.challengeAttempts': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Seconds until the next login attempt is allowed
+userSchema.methods.getLockRetryAfter = function() {
+  return this.isLocked() ? Math.ceil((this.lockUntil - new Date()) / 1000) : 0;
+};
+
+// Record a failed login and return the time until which logins are blocked
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  );
+
+  let lockUntil = null;
+  const update = {};
+
+  if (failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    lockUntil = new Date(now.getTime() + LOCK_DURATION);
+    update.failedLoginAttempts = 0;
+  } else if (failedLoginAttempts >= LOGIN_DELAY_AFTER) {
+    lockUntil = new Date(now.getTime() + 1000 * 2 ** (failedLoginAttempts - LOGIN_DELAY_AFTER));
+  }
+
+  if (lockUntil) {
+    update.lockUntil = lockUntil;
+    await this.constructor.updateOne({ _id: this._id }, update);
+  }
+
+  this.failedLoginAttempts = update.failedLoginAttempts ?? failedLoginAttempts;
+  this.lockUntil = lockUntil || this.lockUntil;
+  return lockUntil;
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Message explaining why the account can't be used, or null if it can
+userSchema.methods.getRestrictionMessage = function() {
+  const reason = this.suspensionReason ? ` Reason: ${this.suspensionReason}` : '';
+
+  if (this.bannedAt) {
+    return `This account has been banned.${reason}`;
+  }
+  if (this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return `This account is suspended until ${this.suspendedUntil.toISOString()}.${reason}`;
+  }
+  return null;
+};
+
+// Public user fields returned by the auth endpoints
+userSchema.methods.toAuthJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    photo: this.photo,
+    role: this.role,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactor.enabled
+  };
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const userBookSchema = new mongoose.Schema({
   user: {
@@ -30,12 +31,28 @@ const userBookSchema = new mongoose.Schema({
     type: Number,
     min: 1,
     max: 5
-  }
+  },
+  // The user's own shelves, on top of the reading status in `shelf`
+  shelves: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf'
+  }],
+  // Personal tags, only visible to the user
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 40
+  }]
 }, {
   timestamps: true
 });
 
 // Ensure one entry per user per book
 userBookSchema.index({ user: 1, book: 1 }, { unique: true });
+userBookSchema.index({ user: 1, shelves: 1 });
+userBookSchema.index({ user: 1, tags: 1 });
+
+userBookSchema.plugin(softDelete);
 
 module.exports = mongoose.model('UserBook', userBookSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A work groups the editions (hardcover, ebook, translations...) of one book.
+// Ratings are aggregated here and copied to every edition.
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  author: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  originalPublishedYear: {
+    type: Number
+  },
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  ratingsCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Work', workSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Soft deletion: documents get `deletedAt`/`deletedBy` instead of being
+// removed, and reads skip them unless the query sets `withDeleted` or filters
+// on `deletedAt` itself. `deletedWith` points at the document whose deletion
+// took this one along (a book's reviews), so a restore can bring it back too.
+//
+// Only reads are filtered; updates and hard deletes see every document.
+
+const READ_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedWith: { type: mongoose.Schema.Types.ObjectId, default: null, index: true }
+  });
+
+  schema.pre(READ_OPERATIONS, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    // A $text match has to stay the first stage, so merge into a leading $match
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function(deletedBy = null, deletedWith = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    this.deletedWith = deletedWith;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.deletedWith = null;
+    return this.save();
+  };
+
+  // Soft delete every live document matching the filter
+  schema.statics.softDeleteMany = function(filter, { deletedBy = null, deletedWith = null } = {}) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { deletedAt: new Date(), deletedBy, deletedWith }
+    );
+  };
+
+  // Restore the documents that were deleted along with another one
+  schema.statics.restoreDeletedWith = function(deletedWith) {
+    return this.updateMany(
+      { deletedWith, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null, deletedWith: null }
+    );
+  };
+}
+
+module.exports = softDeletePlugin;
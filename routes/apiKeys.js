@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { auth, isTwoFactorRequired } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// Get API keys (your own, or every key with ?all=true for user managers)
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.all !== 'true' || !req.permissions.includes('users:manage')) {
+      query.user = req.user._id;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .select('-keyHash')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys, scopes: PERMISSIONS });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create API key. The plain key is only returned in this response.
+router.post('/',
+  auth,
+  [
+    body('name').trim().isLength({ min: 1 }).withMessage('Name is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(PERMISSIONS).withMessage('Unknown scope'),
+    body('type').optional().isIn(['personal', 'service']).withMessage('Type must be personal or service'),
+    body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, scopes, type = 'personal', expiresInDays } = req.body;
+
+      const notGranted = scopes.filter(scope => !req.permissions.includes(scope));
+      if (notGranted.length > 0) {
+        return res.status(403).json({ message: `You don't have these permissions: ${notGranted.join(', ')}` });
+      }
+
+      if (type === 'service' && !req.permissions.includes('users:manage')) {
+        return res.status(403).json({ message: 'Only user managers can create service keys' });
+      }
+
+      if (isTwoFactorRequired(scopes) && !req.user.twoFactor.enabled) {
+        return res.status(403).json({ message: 'Two-factor authentication must be enabled to create keys with these scopes' });
+      }
+
+      const key = `bw_${generateToken(24)}`;
+
+      const apiKey = new ApiKey({
+        name,
+        user: req.user._id,
+        type,
+        keyHash: hashToken(key),
+        prefix: key.slice(0, 11),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+      });
+      await apiKey.save();
+
+      const { keyHash, ...apiKeyData } = apiKey.toObject();
+
+      res.status(201).json({
+        message: 'API key created successfully. Copy it now, it will not be shown again.',
+        key,
+        apiKey: apiKeyData
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Revoke API key
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (!req.permissions.includes('users:manage')) {
+      query.user = req.user._id;
+    }
+
+    const apiKey = await ApiKey.findOne(query);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,49 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { upload, uploadToCloudinary } = require('../config/cloudinary');
+const { sendMail } = require('../config/mail');
+const { deleteUserAccount } = require('../utils/accounts');
+const { sendLoginResponse } = require('../utils/login');
+const { removeImages } = require('../utils/images');
+const {
+  hashToken,
+  issueTokens,
+  rotateSession,
+  signAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  getAccessTokenExpiry
+} = require('../utils/tokens');
 
 const router = express.Router();
 
+// Per-IP limits on top of the per-account lockout below
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyPrefix: 'login',
+  message: 'Too many login attempts, please try again later'
+});
+
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyPrefix: 'auth'
+});
+
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  keyPrefix: 'refresh'
+});
+
 // Register
 router.post('/register', 
+  authLimiter,
   upload.single('photo'),
   [
     body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
@@ -30,11 +65,10 @@ router.post('/register',
         return res.status(400).json({ message: 'User already exists with this email' });
       }
 
-      let photoUrl = '';
+      let photo = { secure_url: '', assets: [] };
       if (req.file) {
         try {
-          const result = await uploadToCloudinary(req.file.buffer);
-          photoUrl = result.secure_url;
+          photo = await uploadToCloudinary(req.file.buffer, { preset: 'photo' });
         } catch (uploadError) {
           console.error('Image upload error:', uploadError);
           // Continue without photo if upload fails
@@ -46,29 +80,28 @@ router.post('/register',
         name,
         email,
         password,
-        photo: photoUrl
+        photo: photo.secure_url,
+        photoAssets: photo.assets
       };
 
       const user = new User(userData);
+      const verificationToken = user.createEmailVerificationToken();
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+        // The user can request a new verification email later
+      }
+
+      // Start a session and issue access/refresh tokens
+      const tokens = await issueTokens(user, req);
 
       res.status(201).json({
         message: 'User registered successfully',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          photo: user.photo,
-          role: user.role
-        }
+        ...tokens,
+        user: user.toAuthJSON()
       });
     } catch (error) {
       console.error('Registration error:', error);
@@ -79,6 +112,7 @@ router.post('/register',
 
 // Login
 router.post('/login',
+  loginLimiter,
   [
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').exists().withMessage('Password is required')
@@ -98,30 +132,21 @@ router.post('/login',
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
+      // A locked account answers like an unknown email, so the lockout can't
+      // be used to find out which emails are registered
+      if (user.isLocked()) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        await user.registerFailedLogin();
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          photo: user.photo,
-          role: user.role
-        }
-      });
+      // Failed attempts are reset once the whole login succeeds
+      await sendLoginResponse(user, req, res);
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({ message: 'Server error during login' });
@@ -139,6 +164,10 @@ router.get('/me', auth, async (req, res) => {
         email: req.user.email,
         photo: req.user.photo,
         role: req.user.role,
+        permissions: req.permissions,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        pendingEmail: req.user.pendingEmail,
         readingGoal: req.user.readingGoal
       }
     });
@@ -148,4 +177,511 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Update current user's profile
+router.patch('/me',
+  auth,
+  upload.single('photo'),
+  [
+    body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (req.body.name !== undefined) {
+        user.name = req.body.name;
+      }
+
+      const previousPhotoAssets = [...user.photoAssets];
+      if (req.file) {
+        try {
+          const result = await uploadToCloudinary(req.file.buffer, { preset: 'photo' });
+          user.photo = result.secure_url;
+          user.photoAssets = result.assets;
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload photo' });
+        }
+      } else if (req.body.removePhoto === 'true' || req.body.removePhoto === true) {
+        user.photo = '';
+        user.photoAssets = [];
+      }
+
+      const photoReplaced = user.isModified('photoAssets');
+      await user.save();
+
+      if (photoReplaced) {
+        await removeImages(previousPhotoAssets);
+      }
+
+      res.json({
+        message: 'Profile updated successfully',
+        user: user.toAuthJSON()
+      });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Change password (requires the current password)
+router.put('/me/password',
+  authLimiter,
+  auth,
+  [
+    body('currentPassword').exists().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      const passwordError = await checkCurrentPassword(user, req.body.currentPassword, 'Current password is incorrect');
+      if (passwordError) {
+        return sendPasswordError(res, passwordError);
+      }
+      if (user.failedLoginAttempts > 0) {
+        await user.resetLoginAttempts();
+      }
+
+      user.password = req.body.newPassword;
+      await user.save();
+
+      // Keep this device signed in, sign out the others
+      await revokeUserSessions(user._id, 'password_changed', req.authSession._id);
+
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Change email (the new address must be verified before it takes effect)
+router.put('/me/email',
+  authLimiter,
+  auth,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('password').exists().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      const passwordError = await checkCurrentPassword(user, req.body.password, 'Password is incorrect');
+      if (passwordError) {
+        return sendPasswordError(res, passwordError);
+      }
+      if (user.failedLoginAttempts > 0) {
+        await user.resetLoginAttempts();
+      }
+
+      const email = req.body.email.toLowerCase().trim();
+      if (email === user.email) {
+        return res.status(400).json({ message: 'This is already your email address' });
+      }
+
+      const emailTaken = await User.exists({ email });
+      if (emailTaken) {
+        return res.status(400).json({ message: 'This email is already in use by another account' });
+      }
+
+      user.pendingEmail = email;
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+
+      await sendVerificationEmail(user, verificationToken, email);
+
+      res.json({
+        message: 'Check your new email address to confirm the change',
+        pendingEmail: email
+      });
+    } catch (error) {
+      console.error('Change email error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete current user's account and all related data. With 2FA enabled a
+// `code` or `recoveryCode` is required as well.
+router.delete('/me',
+  authLimiter,
+  auth,
+  [
+    body('password').exists().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+      const passwordError = await checkCurrentPassword(user, req.body.password, 'Password is incorrect');
+      if (passwordError) {
+        return sendPasswordError(res, passwordError);
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (user.twoFactor.enabled && !user.checkSecondFactor(req.body)) {
+        await user.registerFailedLogin();
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      await deleteUserAccount(user);
+
+      res.json({ message: 'Account deleted successfully' });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Request a password reset link
+router.post('/forgot-password',
+  authLimiter,
+  [
+    body('email').isEmail().withMessage('Please provide a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      // Don't reveal whether an account exists for this email, not even
+      // through a failed send
+      if (user) {
+        try {
+          const resetToken = user.createPasswordResetToken();
+          await user.save();
+          await sendPasswordResetEmail(user, resetToken);
+        } catch (error) {
+          console.error('Send password reset email error:', error);
+        }
+      }
+
+      res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reset password with a token from the reset email
+router.post('/reset-password',
+  authLimiter,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired reset token' });
+      }
+
+      user.password = req.body.password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      // Following the emailed link proves ownership of the address
+      user.emailVerified = true;
+      await user.save();
+
+      // Sign out every device that may still be using the old password
+      await revokeUserSessions(user._id, 'password_reset');
+
+      res.json({ message: 'Password has been reset successfully. Please log in again.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Verify email address with a token from the verification email
+router.post('/verify-email',
+  authLimiter,
+  [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({
+        emailVerificationToken: hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired verification token' });
+      }
+
+      // Confirming an email change swaps in the new address
+      if (user.pendingEmail) {
+        const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+        if (emailTaken) {
+          return res.status(400).json({ message: 'This email is already in use by another account' });
+        }
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Send a new verification email
+router.post('/resend-verification', authLimiter, auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified && !req.user.pendingEmail) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken, user.pendingEmail || user.email);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh',
+  refreshLimiter,
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rotated = await rotateSession(req.body.refreshToken, req);
+      if (!rotated) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      const user = await User.findById(rotated.session.user);
+      if (!user) {
+        await revokeSession(rotated.session._id, 'user_not_found');
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      const restriction = user.getRestrictionMessage();
+      if (restriction) {
+        return res.status(403).json({ message: restriction });
+      }
+
+      res.json({
+        token: signAccessToken(user, rotated.session),
+        refreshToken: rotated.refreshToken,
+        expiresIn: getAccessTokenExpiry()
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Logout from the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout from every device
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'logout_all');
+    res.json({
+      message: 'Logged out from all devices successfully',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions (devices) of the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session of the current user
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to check a signed-in user's password before a sensitive
+// change. Wrong passwords count towards the login lockout, so a stolen access
+// token can't be used to guess it. Callers reset the failed attempts once
+// every factor has been checked. Resolves to an error or null.
+async function checkCurrentPassword(user, password, message) {
+  if (user.isLocked()) {
+    const retryAfter = user.getLockRetryAfter();
+    return {
+      status: 429,
+      message: `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+      retryAfter
+    };
+  }
+
+  if (!(await user.comparePassword(password))) {
+    await user.registerFailedLogin();
+    return { status: 400, message };
+  }
+  return null;
+}
+
+// Helper function to send an error from checkCurrentPassword
+function sendPasswordError(res, { status, message, retryAfter }) {
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({ message, retryAfter });
+  }
+  return res.status(status).json({ message });
+}
+
+// Helper function to build links to the client app
+function clientUrl(pathname, token) {
+  const baseUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Helper function to send the email verification link
+function sendVerificationEmail(user, token, email = user.email) {
+  const link = clientUrl('/verify-email', token);
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your BookWorm email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+}
+
+// Helper function to send the password reset link
+function sendPasswordResetEmail(user, token) {
+  const link = clientUrl('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your BookWorm password',
+    text: `Hi ${user.name},\n\nYou can reset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>You can reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you didn't request this, you can ignore this email.</p>`
+  });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+const { requirePermission } = require('../middleware/auth');
+const { upload, uploadToCloudinary } = require('../config/cloudinary');
+const { refreshAuthorDisplay } = require('../utils/authors');
+const { removeImages } = require('../utils/images');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Search authors by name or alias
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['name', 'createdAt'],
+      defaultSort: 'name',
+      defaultOrder: 'asc'
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = {};
+    if (search) {
+      const key = Author.normalizeName(search);
+      query.$or = [
+        { name: { $regex: escapeRegex(search.trim()), $options: 'i' } },
+        { aliases: { $regex: escapeRegex(search.trim()), $options: 'i' } }
+      ];
+      if (key) {
+        query.$or.push({ nameKeys: { $regex: `^${key}` } });
+      }
+    }
+
+    const page = await paginate(Author, query, pagination, authors => authors.select('-nameKeys'));
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get authors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get author with their books and aggregate rating
+router.get('/:id', async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id).select('-nameKeys');
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const books = await Book.find({ 'authors.author': author._id })
+      .populate('genre', 'name')
+      .populate('authors.author', 'name')
+      .sort({ publishedYear: -1, createdAt: -1 });
+
+    // Weight each book's average by its number of ratings. Editions of one
+    // work share the work's rating, so it only counts once.
+    const [stats] = await Book.aggregate([
+      { $match: { 'authors.author': author._id } },
+      { $group: {
+        _id: { $ifNull: ['$work', '$_id'] },
+        averageRating: { $first: '$averageRating' },
+        ratingsCount: { $first: '$ratingsCount' }
+      } },
+      { $group: {
+        _id: null,
+        ratingsCount: { $sum: '$ratingsCount' },
+        ratingPoints: { $sum: { $multiply: ['$averageRating', '$ratingsCount'] } }
+      } }
+    ]);
+
+    const ratingsCount = stats ? stats.ratingsCount : 0;
+    const averageRating = ratingsCount > 0
+      ? Math.round((stats.ratingPoints / ratingsCount) * 10) / 10
+      : 0;
+
+    res.json({
+      author,
+      books: books.map(book => ({
+        ...book.toObject(),
+        roles: book.authors
+          .filter(entry => entry.author && entry.author._id.equals(author._id))
+          .map(entry => entry.role)
+      })),
+      bookCount: books.length,
+      averageRating,
+      ratingsCount
+    });
+  } catch (error) {
+    console.error('Get author error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create author
+router.post('/',
+  requirePermission('books:write'),
+  upload.single('photo'),
+  [
+    body('name').trim().isLength({ min: 1 }).withMessage('Author name is required'),
+    body('bio').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const aliases = parseAliases(req.body.aliases);
+      const existingAuthor = await findAuthorByNames([req.body.name, ...aliases]);
+      if (existingAuthor) {
+        return res.status(400).json({ message: `Author already exists: ${existingAuthor.name}` });
+      }
+
+      const author = new Author({
+        name: req.body.name,
+        bio: req.body.bio,
+        aliases,
+        photo: req.body.photo || ''
+      });
+
+      if (req.file) {
+        try {
+          const result = await uploadToCloudinary(req.file.buffer, { preset: 'photo' });
+          author.photo = result.secure_url;
+          author.photoAssets = result.assets;
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload photo' });
+        }
+      }
+
+      await author.save();
+
+      res.status(201).json({
+        message: 'Author created successfully',
+        author
+      });
+    } catch (error) {
+      console.error('Create author error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update author
+router.put('/:id',
+  requirePermission('books:write'),
+  upload.single('photo'),
+  [
+    body('name').optional().trim().isLength({ min: 1 }).withMessage('Author name cannot be empty'),
+    body('bio').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const author = await Author.findById(req.params.id);
+      if (!author) {
+        return res.status(404).json({ message: 'Author not found' });
+      }
+
+      const previousName = author.name;
+      if (req.body.name !== undefined) author.name = req.body.name;
+      if (req.body.bio !== undefined) author.bio = req.body.bio;
+      if (req.body.photo !== undefined) author.photo = req.body.photo;
+      if (req.body.aliases !== undefined) author.aliases = parseAliases(req.body.aliases);
+
+      const existingAuthor = await findAuthorByNames([author.name, ...author.aliases], author._id);
+      if (existingAuthor) {
+        return res.status(400).json({ message: `Another author already uses this name: ${existingAuthor.name}` });
+      }
+
+      // A new photo (uploaded or given as a URL) replaces the stored files
+      const previousPhotoAssets = [...author.photoAssets];
+      const photoReplaced = Boolean(req.file) || author.isModified('photo');
+      if (req.file) {
+        try {
+          const result = await uploadToCloudinary(req.file.buffer, { preset: 'photo' });
+          author.photo = result.secure_url;
+          author.photoAssets = result.assets;
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload photo' });
+        }
+      } else if (photoReplaced) {
+        author.photoAssets = [];
+      }
+
+      await author.save();
+
+      if (photoReplaced) {
+        await removeImages(previousPhotoAssets);
+      }
+
+      if (author.name !== previousName) {
+        await refreshAuthorDisplay(author._id);
+      }
+
+      res.json({
+        message: 'Author updated successfully',
+        author
+      });
+    } catch (error) {
+      console.error('Update author error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Merge a duplicate author into this one. Books move over and the duplicate's
+// names are kept as aliases.
+router.post('/:id/merge',
+  requirePermission('books:write'),
+  [
+    body('sourceId').isMongoId().withMessage('Valid source author ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const target = await Author.findById(req.params.id);
+      const source = await Author.findById(req.body.sourceId);
+      if (!target || !source) {
+        return res.status(404).json({ message: 'Author not found' });
+      }
+      if (target._id.equals(source._id)) {
+        return res.status(400).json({ message: 'Cannot merge an author into itself' });
+      }
+
+      const books = await Book.find({ 'authors.author': source._id });
+      for (const book of books) {
+        const authors = [];
+        for (const entry of book.authors) {
+          const authorId = entry.author.equals(source._id) ? target._id : entry.author;
+          if (!authors.some(existing => existing.author.equals(authorId) && existing.role === entry.role)) {
+            authors.push({ author: authorId, role: entry.role });
+          }
+        }
+        await Book.updateOne({ _id: book._id }, { authors });
+      }
+
+      target.aliases = [...new Set([...target.aliases, source.name, ...source.aliases])]
+        .filter(alias => alias !== target.name);
+      if (!target.bio) target.bio = source.bio;
+      if (!target.photo) {
+        target.photo = source.photo;
+        target.photoAssets = source.photoAssets;
+      }
+
+      await Author.deleteOne({ _id: source._id });
+      await target.save();
+      if (target.photo !== source.photo) {
+        await removeImages(source.photoAssets);
+      }
+      await refreshAuthorDisplay(target._id);
+
+      res.json({
+        message: 'Authors merged successfully',
+        author: target,
+        booksMoved: books.length
+      });
+    } catch (error) {
+      console.error('Merge authors error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete author
+router.delete('/:id', requirePermission('books:write'), async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    // Check if any books are credited to this author, counting trashed books
+    // that could still be restored
+    const booksCount = await Book.countDocuments({ 'authors.author': author._id })
+      .setOptions({ withDeleted: true });
+    if (booksCount > 0) {
+      return res.status(400).json({
+        message: `Cannot delete author. ${booksCount} books are credited to this author.`
+      });
+    }
+
+    await Author.findByIdAndDelete(req.params.id);
+    await removeImages(author.photoAssets);
+
+    res.json({ message: 'Author deleted successfully' });
+  } catch (error) {
+    console.error('Delete author error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to escape user input for use in a regex
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Aliases come as an array (JSON) or a comma separated string (multipart forms)
+function parseAliases(value) {
+  if (!value) return [];
+  const aliases = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(aliases.map(alias => String(alias).trim()).filter(Boolean))];
+}
+
+// Helper function to find an author already using one of these names
+function findAuthorByNames(names, excludeId) {
+  const keys = names.map(name => Author.normalizeName(name)).filter(Boolean);
+  const query = { nameKeys: { $in: keys } };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Author.findOne(query);
+}
+
+module.exports = router;
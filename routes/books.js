@@ -1,67 +1,118 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Book = require('../models/Book');
-const Genre = require('../models/Genre');
 const UserBook = require('../models/UserBook');
 const Review = require('../models/Review');
-const { auth, adminAuth } = require('../middleware/auth');
+const Series = require('../models/Series');
+const Tag = require('../models/Tag');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const { upload, uploadToCloudinary } = require('../config/cloudinary');
+const { getHiddenUserIds } = require('../utils/moderation');
+const { isValidIsbn, normalizeIsbn, toIsbn13 } = require('../utils/isbn');
+const { resolveAuthors, toBookAuthors } = require('../utils/authors');
+const { getSeriesNeighbors, getNextInSeries } = require('../utils/series');
+const { getEditionIds } = require('../utils/works');
+const { trashItem } = require('../utils/trash');
+const { resolveBookGenres } = require('../utils/genres');
+const { SORT_FIELDS, MAX_SEARCH_LENGTH, searchBooks, suggestBooks } = require('../utils/bookSearch');
+const { parsePagination, sendPage } = require('../utils/pagination');
+const { DEFAULT_THRESHOLD, findDuplicatesOf, findDuplicatePairs } = require('../utils/duplicates');
+const { mergeBooks } = require('../utils/bookMerge');
+const { removeImages } = require('../utils/images');
+const { moveShelfCount } = require('../utils/shelfCounts');
+const { recordProgressSession } = require('../utils/readingSessions');
+const BookRedirect = require('../models/BookRedirect');
+const {
+  METADATA_FIELDS,
+  getMetadataProviderNames,
+  lookupMetadata,
+  diffBookMetadata
+} = require('../utils/metadata');
 
 const router = express.Router();
 
-// Get all books with filters and pagination
+// Get all books with filters, facets and cursor pagination. Text searches are
+// sorted by relevance unless another sortBy is given.
 router.get('/', async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 12, 
-      search, 
-      genre, 
-      minRating, 
-      maxRating, 
-      sortBy = 'createdAt',
-      sortOrder = 'desc' 
-    } = req.query;
-
-    const query = {};
-    
-    // Search functionality
-    if (search) {
-      query.$text = { $search: search };
+    const { search } = req.query;
+    if (search !== undefined && (typeof search !== 'string' || search.length > MAX_SEARCH_LENGTH)) {
+      return res.status(400).json({ message: `Search must be at most ${MAX_SEARCH_LENGTH} characters` });
     }
-    
-    // Genre filter
-    if (genre) {
-      query.genre = genre;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: SORT_FIELDS,
+      defaultSort: req.query.search ? 'relevance' : 'createdAt',
+      defaultLimit: 12
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
     }
-    
-    // Rating filter
-    if (minRating || maxRating) {
-      query.averageRating = {};
-      if (minRating) query.averageRating.$gte = parseFloat(minRating);
-      if (maxRating) query.averageRating.$lte = parseFloat(maxRating);
+
+    const result = await searchBooks(req.query, pagination);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { searchMode, facets, ...page } = result;
+    sendPage(req, res, page, { searchMode, facets });
+  } catch (error) {
+    console.error('Get books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const books = await Book.find(query)
-      .populate('genre', 'name')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+// Autocomplete titles and authors as the user types
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.json({ books: [], authors: [] });
+    }
+
+    const suggestions = await suggestBooks(q.slice(0, 100));
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Suggest books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const total = await Book.countDocuments(query);
+// Find likely duplicate books across the catalog
+router.get('/duplicates', requirePermission('books:write'), async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.query.threshold);
+    if (threshold === null) {
+      return res.status(400).json({ message: 'Threshold must be a number between 0 and 1' });
+    }
 
-    res.json({
-      books,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const pairs = await findDuplicatePairs({ threshold, limit });
+
+    res.json({ threshold, pairs });
   } catch (error) {
-    console.error('Get books error:', error);
+    console.error('Find duplicate books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find likely duplicates of one book
+router.get('/:id/duplicates', requirePermission('books:write'), async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.query.threshold);
+    if (threshold === null) {
+      return res.status(400).json({ message: 'Threshold must be a number between 0 and 1' });
+    }
+
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const duplicates = await findDuplicatesOf(book, { threshold });
+    res.json({ threshold, duplicates });
+  } catch (error) {
+    console.error('Find book duplicates error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -70,37 +121,63 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const book = await Book.findById(req.params.id)
-      .populate('genre', 'name');
+      .populate('genre', 'name')
+      .populate('authors.author', 'name photo')
+      .populate('series', 'name')
+      .populate('genres', 'name parent')
+      .populate({ path: 'tags', match: { status: 'approved' }, select: 'name' });
     
     if (!book) {
+      // Merged books redirect to the book they were merged into
+      const redirect = await BookRedirect.findOne({ from: req.params.id });
+      if (redirect) {
+        return res.redirect(301, `${req.baseUrl}/${redirect.to}`);
+      }
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Get approved reviews for this book
+    const seriesNavigation = await getSeriesNeighbors(book);
+
+    // Other editions of the same work
+    const editions = book.work
+      ? await Book.find({ work: book.work, _id: { $ne: book._id } })
+        .select('title coverImage isbn format language publisher totalPages publishedYear')
+        .sort({ publishedYear: 1 })
+      : [];
+
+    // Get approved reviews for this book (across all editions of its work)
+    const hiddenUserIds = await getHiddenUserIds();
     const reviews = await Review.find({ 
-      book: req.params.id, 
-      status: 'approved' 
+      book: { $in: await getEditionIds(book) }, 
+      status: 'approved',
+      user: { $nin: hiddenUserIds }
     })
       .populate('user', 'name photo')
+      .populate('book', 'format language')
       .sort({ createdAt: -1 });
 
-    res.json({ book, reviews });
+    res.json({ book, reviews, seriesNavigation, editions });
   } catch (error) {
     console.error('Get book error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create book (Admin only)
+// Create book
 router.post('/', 
-  adminAuth,
+  requirePermission('books:write'),
   upload.single('coverImage'),
   [
     body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
-    body('author').trim().isLength({ min: 1 }).withMessage('Author is required'),
+    body('author').if(body('authors').not().exists()).trim().isLength({ min: 1 }).withMessage('Author is required'),
     body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
     body('genre').isMongoId().withMessage('Valid genre ID is required'),
-    body('totalPages').optional().isInt({ min: 1 }).withMessage('Total pages must be a positive number')
+    body('totalPages').optional().isInt({ min: 1 }).withMessage('Total pages must be a positive number'),
+    body('series').optional({ values: 'falsy' }).isMongoId().withMessage('Valid series ID is required'),
+    body('seriesPosition').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Series position must be a positive number'),
+    body('format').optional({ values: 'falsy' }).isIn(Book.schema.path('format').enumValues).withMessage('Invalid format'),
+    body('language').optional().trim().isLength({ max: 35 }).withMessage('Language must be a language code'),
+    body('publisher').optional().trim()
   ],
   async (req, res) => {
     try {
@@ -113,32 +190,49 @@ router.post('/',
         return res.status(400).json({ message: 'Cover image is required' });
       }
 
-      // Verify genre exists
-      const genre = await Genre.findById(req.body.genre);
-      if (!genre) {
-        return res.status(400).json({ message: 'Invalid genre' });
+      // Verify primary and secondary genres exist
+      const genreCheck = await resolveBookGenres(req.body.genre, req.body.genres);
+      if (genreCheck.error) {
+        return res.status(400).json({ message: genreCheck.error });
       }
 
-      // Upload image to cloudinary
-      let coverImageUrl = '';
+      const resolved = await resolveAuthors(req.body.authors || req.body.author);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+
+      const seriesError = await normalizeSeriesFields(req.body);
+      if (seriesError) {
+        return res.status(400).json({ message: seriesError });
+      }
+
+      // Store the cover in its different sizes
+      let cover;
       try {
-        const result = await uploadToCloudinary(req.file.buffer);
-        coverImageUrl = result.secure_url;
+        cover = await uploadToCloudinary(req.file.buffer, { preset: 'cover' });
       } catch (uploadError) {
         console.error('Image upload error:', uploadError);
         return res.status(500).json({ message: 'Failed to upload cover image' });
       }
 
+      // Tags are added through POST /:id/tags
+      delete req.body.tags;
+
       const bookData = {
         ...req.body,
-        coverImage: coverImageUrl,
+        author: resolved.author,
+        authors: toBookAuthors(resolved.authors),
+        genres: genreCheck.genres,
+        coverImage: cover.secure_url,
+        coverImages: cover.variants,
+        coverAssets: cover.assets,
         totalPages: req.body.totalPages || 0
       };
 
       const book = new Book(bookData);
       await book.save();
       
-      await book.populate('genre', 'name');
+      await book.populate([{ path: 'genre', select: 'name' }, { path: 'authors.author', select: 'name' }]);
 
       res.status(201).json({
         message: 'Book created successfully',
@@ -151,42 +245,133 @@ router.post('/',
   }
 );
 
-// Update book (Admin only)
+// Look up book metadata by ISBN to prefill the create form
+router.post('/lookup',
+  requirePermission('books:write'),
+  [
+    body('isbn').custom(isValidIsbn).withMessage('Valid ISBN-10 or ISBN-13 is required'),
+    body('provider').optional().custom(value => getMetadataProviderNames().includes(value)).withMessage('Unknown metadata provider')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let result;
+      try {
+        result = await lookupMetadata(req.body.isbn, req.body.provider);
+      } catch (lookupError) {
+        return res.status(502).json({ message: 'Metadata provider is unavailable' });
+      }
+
+      if (!result) {
+        return res.status(404).json({ message: 'No metadata found for this ISBN' });
+      }
+
+      // Let the admin know if the book is already in the catalog
+      const existingBook = await findBookByIsbn(req.body.isbn);
+
+      res.json({
+        isbn: result.metadata.isbn,
+        provider: result.provider,
+        metadata: result.metadata,
+        existingBook: existingBook ? { _id: existingBook._id, title: existingBook.title } : null
+      });
+    } catch (error) {
+      console.error('Book lookup error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update book
 router.put('/:id', 
-  adminAuth,
+  requirePermission('books:write'),
   upload.single('coverImage'),
+  [
+    body('series').optional({ values: 'falsy' }).isMongoId().withMessage('Valid series ID is required'),
+    body('seriesPosition').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Series position must be a positive number'),
+    body('format').optional({ values: 'falsy' }).isIn(Book.schema.path('format').enumValues).withMessage('Invalid format'),
+    body('language').optional().trim().isLength({ max: 35 }).withMessage('Language must be a language code'),
+    body('publisher').optional().trim()
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const book = await Book.findById(req.params.id);
       if (!book) {
         return res.status(404).json({ message: 'Book not found' });
       }
 
       const updateData = { ...req.body };
-      
+      delete updateData.coverImages;
+      delete updateData.coverAssets;
+
+      // Verify genres if provided; the primary genre is always kept in `genres`
+      // (tags are added through POST /:id/tags)
+      delete updateData.tags;
+      if (updateData.genre || updateData.genres !== undefined) {
+        const genreCheck = await resolveBookGenres(
+          updateData.genre || book.genre,
+          updateData.genres !== undefined ? updateData.genres : book.genres
+        );
+        if (genreCheck.error) {
+          return res.status(400).json({ message: genreCheck.error });
+        }
+        updateData.genres = genreCheck.genres;
+      }
+
+      // Clients often send the display string back unchanged; it may not parse
+      // on its own ("Plato, Aristotle"), so only re-resolve an actual change
+      if (!updateData.authors && updateData.author === book.author) {
+        delete updateData.author;
+      }
+
+      if (updateData.authors || updateData.author) {
+        const resolved = await resolveAuthors(updateData.authors || updateData.author);
+        if (resolved.error) {
+          return res.status(400).json({ message: resolved.error });
+        }
+        updateData.author = resolved.author;
+        updateData.authors = toBookAuthors(resolved.authors);
+      }
+
+      const seriesError = await normalizeSeriesFields(updateData);
+      if (seriesError) {
+        return res.status(400).json({ message: seriesError });
+      }
+
+      // A new cover (uploaded or given as a URL) replaces the stored files
       if (req.file) {
         try {
-          const result = await uploadToCloudinary(req.file.buffer);
-          updateData.coverImage = result.secure_url;
+          const cover = await uploadToCloudinary(req.file.buffer, { preset: 'cover' });
+          updateData.coverImage = cover.secure_url;
+          updateData.coverImages = cover.variants;
+          updateData.coverAssets = cover.assets;
         } catch (uploadError) {
           console.error('Image upload error:', uploadError);
           return res.status(500).json({ message: 'Failed to upload cover image' });
         }
-      }
-
-      // Verify genre if provided
-      if (updateData.genre) {
-        const genre = await Genre.findById(updateData.genre);
-        if (!genre) {
-          return res.status(400).json({ message: 'Invalid genre' });
-        }
+      } else if (updateData.coverImage && updateData.coverImage !== book.coverImage) {
+        updateData.coverImages = {};
+        updateData.coverAssets = [];
       }
 
       const updatedBook = await Book.findByIdAndUpdate(
         req.params.id,
         updateData,
         { new: true }
-      ).populate('genre', 'name');
+      ).populate('genre', 'name').populate('authors.author', 'name');
+
+      if (updateData.coverAssets) {
+        await removeImages(book.coverAssets);
+      }
 
       res.json({
         message: 'Book updated successfully',
@@ -199,26 +384,167 @@ router.put('/:id',
   }
 );
 
-// Delete book (Admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// Enrich a book from metadata providers. Without `fields` this only returns a
+// field-by-field preview; with `fields` the listed changes are applied.
+router.post('/:id/enrich',
+  requirePermission('books:write'),
+  [
+    body('isbn').optional().custom(isValidIsbn).withMessage('Valid ISBN-10 or ISBN-13 is required'),
+    body('provider').optional().custom(value => getMetadataProviderNames().includes(value)).withMessage('Unknown metadata provider'),
+    body('fields').optional().isArray({ min: 1 }).withMessage('Fields must be a non-empty array'),
+    body('fields.*').optional().isIn(METADATA_FIELDS).withMessage('Unknown field')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const book = await Book.findById(req.params.id);
+      if (!book) {
+        return res.status(404).json({ message: 'Book not found' });
+      }
+
+      const isbn = req.body.isbn || book.isbn;
+      if (!isbn) {
+        return res.status(400).json({ message: 'This book has no ISBN, please provide one' });
+      }
+      if (!isValidIsbn(isbn)) {
+        return res.status(400).json({ message: 'This book has an invalid ISBN, please provide one' });
+      }
+
+      let result;
+      try {
+        result = await lookupMetadata(isbn, req.body.provider);
+      } catch (lookupError) {
+        return res.status(502).json({ message: 'Metadata provider is unavailable' });
+      }
+
+      if (!result) {
+        return res.status(404).json({ message: 'No metadata found for this ISBN' });
+      }
+
+      const changes = diffBookMetadata(book, result.metadata);
+
+      if (!req.body.fields) {
+        return res.json({
+          provider: result.provider,
+          metadata: result.metadata,
+          changes
+        });
+      }
+
+      const applied = changes.filter(change => req.body.fields.includes(change.field));
+      if (applied.length === 0) {
+        return res.status(400).json({ message: 'None of the selected fields have changes' });
+      }
+
+      if (applied.some(change => change.field === 'isbn')) {
+        const duplicate = await findBookByIsbn(result.metadata.isbn);
+        if (duplicate && !duplicate._id.equals(book._id)) {
+          return res.status(409).json({ message: `Another book already has this ISBN: ${duplicate.title}` });
+        }
+      }
+
+      // A cover from the provider replaces any uploaded one
+      const previousCoverAssets = [...book.coverAssets];
+      const coverReplaced = applied.some(change => change.field === 'coverImage');
+
+      for (const change of applied) {
+        if (change.field === 'coverImage') {
+          book.coverImage = change.proposed;
+          book.coverImages = {};
+          book.coverAssets = [];
+        } else if (change.field === 'author') {
+          const resolved = await resolveAuthors(change.proposed);
+          if (resolved.error) {
+            return res.status(400).json({ message: resolved.error });
+          }
+          book.author = resolved.author;
+          book.authors = toBookAuthors(resolved.authors);
+        } else {
+          book[change.field] = change.proposed;
+        }
+      }
+      await book.save();
+      if (coverReplaced) {
+        await removeImages(previousCoverAssets);
+      }
+      await book.populate([{ path: 'genre', select: 'name' }, { path: 'authors.author', select: 'name' }]);
+
+      res.json({
+        message: 'Book enriched successfully',
+        provider: result.provider,
+        applied,
+        book
+      });
+    } catch (error) {
+      console.error('Enrich book error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete book
+router.delete('/:id', requirePermission('books:write'), async (req, res) => {
   try {
     const book = await Book.findById(req.params.id);
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Delete related data
-    await UserBook.deleteMany({ book: req.params.id });
-    await Review.deleteMany({ book: req.params.id });
-    await Book.findByIdAndDelete(req.params.id);
+    // Shelf entries and reviews go to the trash with the book
+    await trashItem('books', book, req.user._id);
 
-    res.json({ message: 'Book deleted successfully' });
+    res.json({ message: 'Book moved to trash' });
   } catch (error) {
     console.error('Delete book error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Merge a duplicate book into this one. Shelf entries, reviews and missing
+// details move over and the duplicate's id redirects here.
+router.post('/:id/merge',
+  requirePermission('books:write'),
+  [
+    body('sourceId').isMongoId().withMessage('Source book is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (req.body.sourceId === req.params.id) {
+        return res.status(400).json({ message: 'A book cannot be merged into itself' });
+      }
+
+      const [target, source] = await Promise.all([
+        Book.findById(req.params.id),
+        Book.findById(req.body.sourceId)
+      ]);
+      if (!target || !source) {
+        return res.status(404).json({ message: 'Book not found' });
+      }
+
+      const summary = await mergeBooks(target, source, req.user._id);
+      const book = await Book.findById(target._id).populate('genre', 'name');
+
+      res.json({
+        message: `"${source.title}" merged into "${target.title}"`,
+        book,
+        summary
+      });
+    } catch (error) {
+      console.error('Merge books error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // Add book to user shelf
 router.post('/:id/shelf', auth, async (req, res) => {
   try {
@@ -233,16 +559,26 @@ router.post('/:id/shelf', auth, async (req, res) => {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Check if book is already on user's shelf
+    // Check if book (or another edition of it) is already on user's shelf
     let userBook = await UserBook.findOne({
       user: req.user._id,
       book: req.params.id
+    }) || await UserBook.findOne({
+      user: req.user._id,
+      book: { $in: await getEditionIds(book) }
     });
 
+    let previousEdition = null;
     if (userBook) {
       // Update existing entry
       const oldShelf = userBook.shelf;
       userBook.shelf = shelf;
+
+      // Shelving another edition moves the entry over to it
+      if (!userBook.book.equals(book._id)) {
+        previousEdition = userBook.book;
+        userBook.book = book._id;
+      }
       
       // Update timestamps based on shelf
       if (shelf === 'currentlyReading' && !userBook.startedReading) {
@@ -255,10 +591,11 @@ router.post('/:id/shelf', auth, async (req, res) => {
       await userBook.save();
       
       // Update book shelf counts
-      if (oldShelf !== shelf) {
-        book.shelvedCount[oldShelf] = Math.max(0, book.shelvedCount[oldShelf] - 1);
-        book.shelvedCount[shelf] += 1;
-        await book.save();
+      if (previousEdition) {
+        await moveShelfCount(previousEdition, oldShelf, null);
+        await moveShelfCount(book._id, null, shelf);
+      } else {
+        await moveShelfCount(book._id, oldShelf, shelf);
       }
     } else {
       // Create new entry
@@ -274,13 +611,17 @@ router.post('/:id/shelf', auth, async (req, res) => {
       await userBook.save();
       
       // Update book shelf counts
-      book.shelvedCount[shelf] += 1;
-      await book.save();
+      await moveShelfCount(book._id, null, shelf);
     }
 
+    // Point readers who just finished a book at the next one in the series
+    const nextInSeries = shelf === 'read' ? await getNextInSeries(book, req.user._id) : null;
+
     res.json({
       message: 'Book added to shelf successfully',
-      userBook
+      userBook,
+      previousEdition,
+      nextInSeries
     });
   } catch (error) {
     console.error('Add to shelf error:', error);
@@ -288,10 +629,39 @@ router.post('/:id/shelf', auth, async (req, res) => {
   }
 });
 
-// Update reading progress
+// Remove book from user's library. Reviews and reading history are kept.
+router.delete('/:id/shelf', auth, async (req, res) => {
+  try {
+    const userBook = await UserBook.findOneAndDelete({
+      user: req.user._id,
+      book: req.params.id
+    });
+
+    if (!userBook) {
+      return res.status(404).json({ message: 'Book not found in your library' });
+    }
+
+    await moveShelfCount(userBook.book, userBook.shelf, null);
+
+    res.json({ message: 'Book removed from your library' });
+  } catch (error) {
+    console.error('Remove from shelf error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update reading progress. Each update is logged in the reading history,
+// with `minutes` when the reader timed the session.
 router.put('/:id/progress', auth, async (req, res) => {
   try {
-    const { pagesRead, percentage } = req.body;
+    const { pagesRead, percentage, minutes } = req.body;
+
+    if (pagesRead !== undefined && !(Number.isInteger(Number(pagesRead)) && Number(pagesRead) >= 0)) {
+      return res.status(400).json({ message: 'Pages read must be a positive number' });
+    }
+    if (minutes !== undefined && !(Number.isInteger(Number(minutes)) && Number(minutes) >= 1 && Number(minutes) <= 24 * 60)) {
+      return res.status(400).json({ message: 'Minutes must be between 1 and 1440' });
+    }
     
     const userBook = await UserBook.findOne({
       user: req.user._id,
@@ -302,31 +672,43 @@ router.put('/:id/progress', auth, async (req, res) => {
       return res.status(404).json({ message: 'Book not found in your library' });
     }
 
+    const previousPage = userBook.progress.pagesRead || 0;
     if (pagesRead !== undefined) {
       userBook.progress.pagesRead = pagesRead;
     }
     
+    let finishedFrom = null;
     if (percentage !== undefined) {
       userBook.progress.percentage = Math.min(100, Math.max(0, percentage));
       
       // Auto-move to read shelf if 100% complete
       if (percentage >= 100 && userBook.shelf !== 'read') {
+        finishedFrom = userBook.shelf;
         userBook.shelf = 'read';
         userBook.finishedReading = new Date();
-        
-        // Update book shelf counts
-        const book = await Book.findById(req.params.id);
-        book.shelvedCount.currentlyReading = Math.max(0, book.shelvedCount.currentlyReading - 1);
-        book.shelvedCount.read += 1;
-        await book.save();
       }
     }
 
     await userBook.save();
 
+    const session = await recordProgressSession(userBook, previousPage, {
+      minutes: minutes !== undefined ? Number(minutes) : undefined
+    });
+
+    let nextInSeries = null;
+    if (finishedFrom) {
+      // Update book shelf counts
+      await moveShelfCount(userBook.book, finishedFrom, 'read');
+
+      const book = await Book.findById(userBook.book);
+      nextInSeries = book ? await getNextInSeries(book, req.user._id) : null;
+    }
+
     res.json({
       message: 'Progress updated successfully',
-      userBook
+      userBook,
+      session,
+      nextInSeries
     });
   } catch (error) {
     console.error('Update progress error:', error);
@@ -334,6 +716,73 @@ router.put('/:id/progress', auth, async (req, res) => {
   }
 });
 
+// Tag a book. New tags wait for moderation before they show up publicly.
+router.post('/:id/tags',
+  auth,
+  requireVerifiedEmail,
+  [
+    body('name').trim().isLength({ min: 1, max: 40 }).withMessage('Tag must be between 1 and 40 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const book = await Book.findById(req.params.id);
+      if (!book) {
+        return res.status(404).json({ message: 'Book not found' });
+      }
+
+      const name = req.body.name.toLowerCase();
+      let tag = await Tag.findOne({ name });
+      if (tag && tag.status === 'rejected') {
+        return res.status(400).json({ message: 'This tag is not allowed' });
+      }
+
+      if (!tag) {
+        // Catalog editors' tags don't need review
+        tag = await Tag.create({
+          name,
+          createdBy: req.user._id,
+          status: req.permissions.includes('genres:write') ? 'approved' : 'pending'
+        });
+      }
+
+      await Book.updateOne({ _id: book._id }, { $addToSet: { tags: tag._id } });
+
+      res.status(201).json({
+        message: tag.status === 'approved'
+          ? 'Tag added successfully'
+          : 'Tag submitted successfully. It will be visible after moderator approval.',
+        tag
+      });
+    } catch (error) {
+      console.error('Add tag error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Remove a tag from a book
+router.delete('/:id/tags/:tagId', requirePermission('genres:write'), async (req, res) => {
+  try {
+    const result = await Book.updateOne(
+      { _id: req.params.id },
+      { $pull: { tags: req.params.tagId } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    res.json({ message: 'Tag removed successfully' });
+  } catch (error) {
+    console.error('Remove tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get recommendations for user
 router.get('/recommendations/for-me', auth, async (req, res) => {
   try {
@@ -389,4 +838,42 @@ router.get('/recommendations/for-me', auth, async (req, res) => {
   }
 });
 
+// Helper function to find a book by ISBN in either its stored or ISBN-13 form
+function findBookByIsbn(isbn) {
+  const variants = [normalizeIsbn(isbn), toIsbn13(isbn)].filter(Boolean);
+  return Book.findOne({ isbn: { $in: [...new Set(variants)] } });
+}
+
+// Helper function to read a duplicate score threshold; null when invalid
+function parseThreshold(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_THRESHOLD;
+  }
+  const threshold = Number(value);
+  return threshold >= 0 && threshold <= 1 ? threshold : null;
+}
+
+// Helper function to check series fields on create/update. An empty series
+// removes the book from its series. Returns an error message, if any.
+async function normalizeSeriesFields(data) {
+  if (data.series === '' || data.series === null) {
+    data.series = null;
+    data.seriesPosition = null;
+    return null;
+  }
+
+  if (data.seriesPosition === '') {
+    data.seriesPosition = null;
+  }
+
+  if (data.series) {
+    const series = await Series.findById(data.series);
+    if (!series) {
+      return 'Invalid series';
+    }
+  }
+
+  return null;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const express = require('express');
+const multer = require('multer');
+const Book = require('../models/Book');
+const ImportReport = require('../models/ImportReport');
+const { requirePermission } = require('../middleware/auth');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { CATALOG_COLUMNS, importCatalog, toCatalogRecord } = require('../utils/catalogImport');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { reconcileShelfCounts } = require('../utils/shelfCounts');
+
+const router = express.Router();
+
+// Catalog files are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed!'), false);
+    }
+  }
+});
+
+// Import books from a CSV or JSON file (?dryRun=true to preview, ?createGenres=true
+// to create unknown genres). Rows are upserted on ISBN.
+router.post('/import',
+  requirePermission('books:write'),
+  importUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Catalog file is required' });
+      }
+
+      const format = /\.json$/i.test(req.file.originalname) ? 'json' : 'csv';
+      const dryRun = (req.query.dryRun || req.body.dryRun) === 'true';
+      const createGenres = (req.query.createGenres || req.body.createGenres) === 'true';
+
+      let records;
+      try {
+        records = parseCatalogFile(req.file.buffer.toString('utf8'), format);
+      } catch (parseError) {
+        return res.status(400).json({ message: `Could not parse file: ${parseError.message}` });
+      }
+
+      if (records.length === 0) {
+        return res.status(400).json({ message: 'The file contains no books' });
+      }
+
+      const result = await importCatalog(records, { dryRun, createGenres });
+
+      const report = new ImportReport({
+        createdBy: req.user._id,
+        fileName: req.file.originalname,
+        format,
+        dryRun,
+        createGenres,
+        ...result
+      });
+      await report.save();
+
+      res.status(dryRun ? 200 : 201).json({
+        message: dryRun ? 'Import preview generated' : 'Import completed',
+        report
+      });
+    } catch (error) {
+      console.error('Catalog import error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get import reports
+router.get('/imports', requirePermission('books:write'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { allowPages: true });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const page = await paginate(ImportReport, {}, pagination, reports => reports
+      .select('-rows')
+      .populate('createdBy', 'name email'));
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get import reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single import report with per-row results
+router.get('/imports/:id', requirePermission('books:write'), async (req, res) => {
+  try {
+    const report = await ImportReport.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!report) {
+      return res.status(404).json({ message: 'Import report not found' });
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Get import report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export the full catalog (?format=csv|json) with genre names resolved
+router.get('/export', requirePermission('books:write'), async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+
+    const books = await Book.find()
+      .populate('genre', 'name')
+      .populate('authors.author', 'name')
+      .sort({ title: 1 })
+      .lean();
+
+    const records = books.map(toCatalogRecord);
+    const fileName = `bookworm-catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(fileName);
+    if (format === 'json') {
+      return res.json({ books: records });
+    }
+
+    res.type('text/csv');
+    res.send(toCsv(records, ['id', ...CATALOG_COLUMNS, 'averageRating', 'ratingsCount']));
+  } catch (error) {
+    console.error('Catalog export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recompute every book's shelf counts from the library entries and report the
+// drift (?dryRun=true only reports). Also available as `npm run reconcile:shelves`.
+router.post('/reconcile-shelf-counts', requirePermission('books:write'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await reconcileShelfCounts({ dryRun });
+
+    res.json({
+      message: dryRun
+        ? `${result.drifted} of ${result.checked} books have drifted shelf counts`
+        : `Fixed shelf counts on ${result.fixed} of ${result.checked} books`,
+      dryRun,
+      ...result
+    });
+  } catch (error) {
+    console.error('Reconcile shelf counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to turn an uploaded file into plain records
+function parseCatalogFile(content, format) {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  const data = JSON.parse(content);
+  const records = Array.isArray(data) ? data : data.books;
+  if (!Array.isArray(records)) {
+    throw new Error('Expected an array of books or an object with a "books" array');
+  }
+  return records;
+}
+
+module.exports = router;
@@ -2,15 +2,34 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Genre = require('../models/Genre');
 const Book = require('../models/Book');
-const { adminAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const {
+  buildAncestors,
+  updateDescendantAncestors,
+  getGenreBookCounts,
+  buildGenreTree
+} = require('../utils/genres');
+const { trashItem } = require('../utils/trash');
 
 const router = express.Router();
 
-// Get all genres
+// Get all genres as a tree with book counts (?flat=true for a plain list)
 router.get('/', async (req, res) => {
   try {
     const genres = await Genre.find().sort({ name: 1 });
-    res.json({ genres });
+    const counts = await getGenreBookCounts();
+
+    if (req.query.flat === 'true') {
+      return res.json({
+        genres: genres.map(genre => ({
+          ...genre.toObject(),
+          bookCount: counts.direct.get(genre._id.toString()) || 0,
+          totalBookCount: counts.total.get(genre._id.toString()) || 0
+        }))
+      });
+    }
+
+    res.json({ genres: buildGenreTree(genres, counts) });
   } catch (error) {
     console.error('Get genres error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -20,23 +39,28 @@ router.get('/', async (req, res) => {
 // Get single genre
 router.get('/:id', async (req, res) => {
   try {
-    const genre = await Genre.findById(req.params.id);
+    const genre = await Genre.findById(req.params.id)
+      .populate('ancestors', 'name');
     if (!genre) {
       return res.status(404).json({ message: 'Genre not found' });
     }
-    res.json({ genre });
+
+    const children = await Genre.find({ parent: genre._id }).select('name').sort({ name: 1 });
+
+    res.json({ genre, children });
   } catch (error) {
     console.error('Get genre error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create genre (Admin only)
+// Create genre
 router.post('/', 
-  adminAuth,
+  requirePermission('genres:write'),
   [
     body('name').trim().isLength({ min: 1 }).withMessage('Genre name is required'),
-    body('description').optional().trim()
+    body('description').optional().trim(),
+    body('parent').optional({ values: 'null' }).isMongoId().withMessage('Valid parent genre ID is required')
   ],
   async (req, res) => {
     try {
@@ -47,16 +71,28 @@ router.post('/',
 
       const { name, description } = req.body;
 
-      // Check if genre already exists
+      const parent = req.body.parent ? await Genre.findById(req.body.parent) : null;
+      if (req.body.parent && !parent) {
+        return res.status(400).json({ message: 'Parent genre not found' });
+      }
+
+      // Check if genre already exists (trashed genres keep their name)
       const existingGenre = await Genre.findOne({ 
         name: { $regex: new RegExp(`^${name}$`, 'i') } 
-      });
+      }).setOptions({ withDeleted: true });
       
       if (existingGenre) {
-        return res.status(400).json({ message: 'Genre already exists' });
+        return res.status(400).json({
+          message: existingGenre.deletedAt ? 'Genre already exists in the trash, restore it instead' : 'Genre already exists'
+        });
       }
 
-      const genre = new Genre({ name, description });
+      const genre = new Genre({
+        name,
+        description,
+        parent: parent ? parent._id : null,
+        ancestors: buildAncestors(parent)
+      });
       await genre.save();
 
       res.status(201).json({
@@ -70,12 +106,13 @@ router.post('/',
   }
 );
 
-// Update genre (Admin only)
+// Update genre
 router.put('/:id', 
-  adminAuth,
+  requirePermission('genres:write'),
   [
     body('name').trim().isLength({ min: 1 }).withMessage('Genre name is required'),
-    body('description').optional().trim()
+    body('description').optional().trim(),
+    body('parent').optional({ values: 'null' }).isMongoId().withMessage('Valid parent genre ID is required')
   ],
   async (req, res) => {
     try {
@@ -90,22 +127,42 @@ router.put('/:id',
       const existingGenre = await Genre.findOne({ 
         name: { $regex: new RegExp(`^${name}$`, 'i') },
         _id: { $ne: req.params.id }
-      });
+      }).setOptions({ withDeleted: true });
       
       if (existingGenre) {
         return res.status(400).json({ message: 'Genre with this name already exists' });
       }
 
-      const genre = await Genre.findByIdAndUpdate(
-        req.params.id,
-        { name, description },
-        { new: true }
-      );
-
+      const genre = await Genre.findById(req.params.id);
       if (!genre) {
         return res.status(404).json({ message: 'Genre not found' });
       }
 
+      genre.name = name;
+      if (description !== undefined) genre.description = description;
+
+      // Moving the genre: the new parent can't be the genre or one of its descendants
+      let moved = false;
+      if (req.body.parent !== undefined) {
+        const parent = req.body.parent ? await Genre.findById(req.body.parent) : null;
+        if (req.body.parent && !parent) {
+          return res.status(400).json({ message: 'Parent genre not found' });
+        }
+        if (parent && (parent._id.equals(genre._id) || parent.ancestors.some(id => id.equals(genre._id)))) {
+          return res.status(400).json({ message: 'A genre cannot be moved under itself' });
+        }
+
+        const parentId = parent ? parent._id : null;
+        moved = String(parentId) !== String(genre.parent);
+        genre.parent = parentId;
+        genre.ancestors = buildAncestors(parent);
+      }
+
+      await genre.save();
+      if (moved) {
+        await updateDescendantAncestors(genre);
+      }
+
       res.json({
         message: 'Genre updated successfully',
         genre
@@ -117,25 +174,29 @@ router.put('/:id',
   }
 );
 
-// Delete genre (Admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// Delete genre
+router.delete('/:id', requirePermission('genres:write'), async (req, res) => {
   try {
     const genre = await Genre.findById(req.params.id);
     if (!genre) {
       return res.status(404).json({ message: 'Genre not found' });
     }
 
-    // Check if any books use this genre
-    const booksWithGenre = await Book.countDocuments({ genre: req.params.id });
+    // Check if any books use this as their primary genre. Trashed books count
+    // too, they could be restored and would be left without a genre.
+    const booksWithGenre = await Book.countDocuments({ genre: req.params.id })
+      .setOptions({ withDeleted: true });
     if (booksWithGenre > 0) {
       return res.status(400).json({ 
-        message: `Cannot delete genre. ${booksWithGenre} books are using this genre.` 
+        message: `Cannot delete genre. ${booksWithGenre} books (including any in the trash) are using this genre.` 
       });
     }
 
-    await Genre.findByIdAndDelete(req.params.id);
+    // While the genre is in the trash its children show up under its parent;
+    // they are moved there for good when the genre is purged
+    await trashItem('genres', genre, req.user._id);
 
-    res.json({ message: 'Genre deleted successfully' });
+    res.json({ message: 'Genre moved to trash' });
   } catch (error) {
     console.error('Delete genre error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,173 @@
+const express = require('express');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getOidcProvider, getOidcProviderNames } = require('../config/oidc');
+const {
+  randomString,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+} = require('../utils/oidc');
+const { generateToken } = require('../utils/tokens');
+const { sendLoginResponse } = require('../utils/login');
+
+const router = express.Router();
+
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyPrefix: 'oidc'
+});
+
+// List configured identity providers
+router.get('/', (req, res) => {
+  res.json({ providers: getOidcProviderNames() });
+});
+
+// Start login: redirect to the provider (or return the URL with ?mode=json)
+router.get('/:provider', oidcLimiter, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    const state = randomString();
+    const nonce = randomString();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await OidcState.create({
+      state,
+      provider: provider.name,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL)
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+
+    if (req.query.mode === 'json') {
+      return res.json({ authorizationUrl });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({ message: 'Identity provider is unavailable' });
+  }
+});
+
+// Provider redirects back here with the authorization code
+router.get('/:provider/callback', oidcLimiter, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    const { code, state, error } = req.query;
+    if (error) {
+      return res.status(400).json({ message: `Identity provider returned an error: ${error}` });
+    }
+    if (!code || !state) {
+      return res.status(400).json({ message: 'Missing code or state' });
+    }
+
+    // States are single-use
+    const pending = await OidcState.findOneAndDelete({
+      state,
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!pending) {
+      return res.status(400).json({ message: 'Login request expired, please try again' });
+    }
+
+    let claims;
+    try {
+      const tokenSet = await exchangeCode(provider, { code, codeVerifier: pending.codeVerifier });
+      if (!tokenSet.id_token) {
+        return res.status(502).json({ message: 'Identity provider did not return an ID token' });
+      }
+
+      claims = await verifyIdToken(provider, tokenSet.id_token, pending.nonce);
+      if (!claims.email && tokenSet.access_token) {
+        const userInfo = await fetchUserInfo(provider, tokenSet.access_token);
+        if (userInfo.sub === claims.sub) {
+          claims = { ...userInfo, ...claims };
+        }
+      }
+    } catch (verifyError) {
+      console.error('OIDC token error:', verifyError);
+      return res.status(401).json({ message: 'Could not verify identity provider response' });
+    }
+
+    const { user, error: linkError } = await findOrCreateOidcUser(provider, claims);
+    if (linkError) {
+      return res.status(409).json({ message: linkError });
+    }
+
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Helper function to find the linked user, link by an email both sides have
+// verified, or create one
+async function findOrCreateOidcUser(provider, claims) {
+  const identity = { provider: provider.name, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity }
+  });
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  const email = claims.email ? claims.email.toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (email) {
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      if (!emailVerified) {
+        return { error: 'An account with this email exists but the provider did not verify the email. Log in with your password instead.' };
+      }
+
+      // Whoever registered an unverified address may not own it; linking would
+      // let them keep password access to the real owner's account
+      if (!existingUser.emailVerified) {
+        return { error: 'An account with this email exists but its email has not been verified. Verify the email or reset the password first.' };
+      }
+
+      existingUser.identities.push({ ...identity, email });
+      await existingUser.save();
+      return { user: existingUser };
+    }
+  }
+
+  if (!email || !emailVerified) {
+    return { error: 'The identity provider did not share a verified email address' };
+  }
+
+  // Password login stays unusable until the user resets it
+  const user = new User({
+    name: claims.name || claims.preferred_username || email.split('@')[0],
+    email,
+    password: generateToken(),
+    photo: claims.picture || '',
+    emailVerified: true,
+    identities: [{ ...identity, email }]
+  });
+  await user.save();
+
+  return { user };
+}
+
+module.exports = router;
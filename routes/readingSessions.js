@@ -0,0 +1,177 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ReadingSession = require('../models/ReadingSession');
+const UserBook = require('../models/UserBook');
+const { auth } = require('../middleware/auth');
+const { isValidTimeZone, applySessionToProgress, getReadingStats } = require('../utils/readingSessions');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+const sessionValidators = (editing = false) => {
+  const required = (field) => (editing ? body(field).optional() : body(field));
+  return [
+    required('startPage').isInt({ min: 0 }).withMessage('Start page must be a positive number'),
+    required('endPage').isInt({ min: 0 }).withMessage('End page must be a positive number'),
+    body('minutes').optional({ values: 'null' }).isInt({ min: 1, max: 24 * 60 }).withMessage('Minutes must be between 1 and 1440'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date')
+      .custom(value => new Date(value) <= new Date()).withMessage('Date cannot be in the future')
+  ];
+};
+
+// Get your reading history, newest first (?book= for one book)
+router.get('/', auth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ['date'], defaultSort: 'date' });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = { user: req.user._id };
+    if (req.query.book) {
+      if (!mongoose.isValidObjectId(req.query.book)) {
+        return res.status(400).json({ message: 'Invalid book ID' });
+      }
+      query.book = req.query.book;
+    }
+
+    const page = await paginate(ReadingSession, query, pagination, sessions => sessions
+      .populate('book', 'title author coverImage totalPages'));
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get reading sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get streaks, pages per day and estimated finish dates. Days are counted in
+// ?timezone= (an IANA name, default UTC) over the last ?days= days (default 30).
+router.get('/stats', auth, async (req, res) => {
+  try {
+    const timeZone = req.query.timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: 'Unknown time zone' });
+    }
+
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    if (!(days >= 1 && days <= 365)) {
+      return res.status(400).json({ message: 'Days must be between 1 and 365' });
+    }
+
+    const stats = await getReadingStats(req.user._id, { timeZone, days });
+
+    res.json({ stats });
+  } catch (error) {
+    console.error('Get reading stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log a reading session for a book in your library. Progress moves forward
+// to the session's end page.
+router.post('/',
+  auth,
+  [
+    body('book').isMongoId().withMessage('Valid book ID is required'),
+    ...sessionValidators()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { book, startPage, endPage, minutes, date } = req.body;
+      if (Number(endPage) < Number(startPage)) {
+        return res.status(400).json({ message: 'End page cannot be before the start page' });
+      }
+
+      const userBook = await UserBook.findOne({ user: req.user._id, book })
+        .populate('book', 'totalPages');
+      if (!userBook || !userBook.book) {
+        return res.status(404).json({ message: 'Book not found in your library' });
+      }
+
+      const session = await ReadingSession.create({
+        user: req.user._id,
+        book,
+        startPage,
+        endPage,
+        minutes,
+        date: date ? new Date(date) : undefined
+      });
+
+      if (applySessionToProgress(userBook, session, userBook.book.totalPages)) {
+        await userBook.save();
+      }
+
+      res.status(201).json({
+        message: 'Reading session logged successfully',
+        session,
+        progress: userBook.progress
+      });
+    } catch (error) {
+      console.error('Create reading session error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Edit a session. This corrects the history only, current progress stays.
+router.put('/:id',
+  auth,
+  sessionValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const session = await ReadingSession.findOne({ _id: req.params.id, user: req.user._id });
+      if (!session) {
+        return res.status(404).json({ message: 'Reading session not found' });
+      }
+
+      const { startPage, endPage, minutes, date } = req.body;
+      if (startPage !== undefined) session.startPage = startPage;
+      if (endPage !== undefined) session.endPage = endPage;
+      if (minutes !== undefined) session.minutes = minutes === null ? undefined : minutes;
+      if (date !== undefined) session.date = new Date(date);
+
+      if (session.endPage < session.startPage) {
+        return res.status(400).json({ message: 'End page cannot be before the start page' });
+      }
+
+      await session.save();
+
+      res.json({
+        message: 'Reading session updated successfully',
+        session
+      });
+    } catch (error) {
+      console.error('Update reading session error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete a session
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await ReadingSession.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Reading session not found' });
+    }
+
+    res.json({ message: 'Reading session deleted successfully' });
+  } catch (error) {
+    console.error('Delete reading session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,52 +2,66 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Review = require('../models/Review');
 const Book = require('../models/Book');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { updateBookRating } = require('../utils/ratings');
+const { getHiddenUserIds } = require('../utils/moderation');
+const { getEditionIds } = require('../utils/works');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { trashItem } = require('../utils/trash');
 
 const router = express.Router();
 
-// Get all reviews (Admin only)
-router.get('/', adminAuth, async (req, res) => {
+// Get all reviews (moderation queue)
+router.get('/', requirePermission('reviews:moderate'), async (req, res) => {
   try {
-    const { status = 'all', page = 1, limit = 10 } = req.query;
+    const { status = 'all' } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'rating'],
+      defaultLimit: 10,
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
     
     const query = {};
     if (status !== 'all') {
       query.status = status;
     }
 
-    const reviews = await Review.find(query)
+    const page = await paginate(Review, query, pagination, reviews => reviews
       .populate('user', 'name email photo')
-      .populate('book', 'title author coverImage')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Review.countDocuments(query);
-
-    res.json({
-      reviews,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+      .populate('book', 'title author coverImage'));
+
+    sendPage(req, res, page);
   } catch (error) {
     console.error('Get reviews error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get reviews for a specific book
+// Get reviews for a specific book (across all editions of its work)
 router.get('/book/:bookId', async (req, res) => {
   try {
-    const reviews = await Review.find({ 
-      book: req.params.bookId, 
-      status: 'approved' 
-    })
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'rating'] });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const book = await Book.findById(req.params.bookId).select('work');
+    const bookIds = book ? await getEditionIds(book) : [req.params.bookId];
+
+    const hiddenUserIds = await getHiddenUserIds();
+    const page = await paginate(Review, { 
+      book: { $in: bookIds }, 
+      status: 'approved',
+      user: { $nin: hiddenUserIds }
+    }, pagination, reviews => reviews
       .populate('user', 'name photo')
-      .sort({ createdAt: -1 });
+      .populate('book', 'format language'));
 
-    res.json({ reviews });
+    sendPage(req, res, page);
   } catch (error) {
     console.error('Get book reviews error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -57,6 +71,7 @@ router.get('/book/:bookId', async (req, res) => {
 // Create review
 router.post('/', 
   auth,
+  requireVerifiedEmail,
   [
     body('book').isMongoId().withMessage('Valid book ID is required'),
     body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
@@ -77,11 +92,12 @@ router.post('/',
         return res.status(404).json({ message: 'Book not found' });
       }
 
-      // Check if user already reviewed this book
+      // Check if user already reviewed this book (in any edition, including
+      // reviews a moderator moved to the trash)
       const existingReview = await Review.findOne({
         user: req.user._id,
-        book: book
-      });
+        book: { $in: await getEditionIds(bookExists) }
+      }).setOptions({ withDeleted: true });
 
       if (existingReview) {
         return res.status(400).json({ message: 'You have already reviewed this book' });
@@ -99,7 +115,7 @@ router.post('/',
       await review.populate('book', 'title author');
 
       res.status(201).json({
-        message: 'Review submitted successfully. It will be visible after admin approval.',
+        message: 'Review submitted successfully. It will be visible after moderator approval.',
         review
       });
     } catch (error) {
@@ -109,9 +125,9 @@ router.post('/',
   }
 );
 
-// Update review status (Admin only)
+// Update review status
 router.put('/:id/status', 
-  adminAuth,
+  requirePermission('reviews:moderate'),
   [
     body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected')
   ],
@@ -152,49 +168,22 @@ router.put('/:id/status',
   }
 );
 
-// Delete review (Admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// Delete review
+router.delete('/:id', requirePermission('reviews:moderate'), async (req, res) => {
   try {
     const review = await Review.findById(req.params.id);
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
 
-    const bookId = review.book;
-    await Review.findByIdAndDelete(req.params.id);
-
-    // Update book's average rating
-    await updateBookRating(bookId);
+    // Also updates the book's average rating
+    await trashItem('reviews', review, req.user._id);
 
-    res.json({ message: 'Review deleted successfully' });
+    res.json({ message: 'Review moved to trash' });
   } catch (error) {
     console.error('Delete review error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to update book's average rating
-async function updateBookRating(bookId) {
-  try {
-    const reviews = await Review.find({ book: bookId, status: 'approved' });
-    
-    if (reviews.length === 0) {
-      await Book.findByIdAndUpdate(bookId, {
-        averageRating: 0,
-        ratingsCount: 0
-      });
-    } else {
-      const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-      const averageRating = totalRating / reviews.length;
-      
-      await Book.findByIdAndUpdate(bookId, {
-        averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal
-        ratingsCount: reviews.length
-      });
-    }
-  } catch (error) {
-    console.error('Update book rating error:', error);
-  }
-}
-
 module.exports = router;
\ No newline at end of file
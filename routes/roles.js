@@ -0,0 +1,163 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { clearRoleCache } = require('../utils/roles');
+const { revokeUserSessions } = require('../utils/tokens');
+
+const router = express.Router();
+
+const roleValidation = [
+  body('description').optional().trim(),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Unknown permission')
+];
+
+// Get all roles and the available permissions (users:manage)
+router.get('/', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    res.json({ roles, permissions: PERMISSIONS });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create role (users:manage)
+router.post('/', 
+  requirePermission('users:manage'),
+  [
+    body('name').trim().toLowerCase().matches(/^[a-z0-9_-]+$/)
+      .withMessage('Role name may only contain letters, numbers, dashes and underscores'),
+    ...roleValidation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions = [] } = req.body;
+
+      if (exceedsOwnPermissions(req, permissions)) {
+        return res.status(403).json({ message: 'You cannot grant permissions you do not hold' });
+      }
+
+      const existingRole = await Role.findOne({ name });
+      if (existingRole) {
+        return res.status(400).json({ message: 'Role already exists' });
+      }
+
+      const role = new Role({ name, description, permissions });
+      await role.save();
+      clearRoleCache();
+
+      res.status(201).json({
+        message: 'Role created successfully',
+        role
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update role permissions (users:manage)
+router.put('/:id', 
+  requirePermission('users:manage'),
+  roleValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const role = await Role.findById(req.params.id);
+      if (!role) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+
+      if (role.name === 'admin' && req.body.permissions !== undefined) {
+        return res.status(400).json({ message: 'The admin role always has every permission' });
+      }
+
+      const { description, permissions } = req.body;
+
+      if (!canManageRole(req, role) || (permissions !== undefined && exceedsOwnPermissions(req, permissions))) {
+        return res.status(403).json({ message: 'You cannot edit this role' });
+      }
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = permissions;
+
+      await role.save();
+      clearRoleCache();
+
+      res.json({
+        message: 'Role updated successfully',
+        role
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete role (users:manage)
+router.delete('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    if (!canManageRole(req, role)) {
+      return res.status(403).json({ message: 'You cannot delete this role' });
+    }
+
+    // Move members back to the default role
+    const members = await User.find({ role: role.name }).select('_id');
+    await User.updateMany({ role: role.name }, { role: 'user' });
+    for (const member of members) {
+      await revokeUserSessions(member._id, 'role_deleted');
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+    clearRoleCache();
+
+    res.json({
+      message: 'Role deleted successfully',
+      reassignedUsers: members.length
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to check whether a non-admin would hand out permissions
+// they don't hold themselves
+function exceedsOwnPermissions(req, permissions) {
+  if (req.user.role === 'admin') return false;
+  return permissions.some(permission => !req.permissions.includes(permission));
+}
+
+// Helper function to check whether the caller may change a role. Non-admins
+// can't touch their own role or a role more powerful than theirs, otherwise
+// they could raise their own permissions or demote their superiors.
+function canManageRole(req, role) {
+  if (req.user.role === 'admin') return true;
+  return role.name !== 'admin' && role.name !== req.user.role && !exceedsOwnPermissions(req, role.permissions);
+}
+
+module.exports = router;
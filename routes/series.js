@@ -0,0 +1,152 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Series = require('../models/Series');
+const Book = require('../models/Book');
+const { requirePermission } = require('../middleware/auth');
+const { getSeriesBooks } = require('../utils/series');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Get all series
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['name', 'createdAt'],
+      defaultSort: 'name',
+      defaultOrder: 'asc'
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const page = await paginate(Series, query, pagination);
+
+    const counts = await Book.aggregate([
+      { $match: { series: { $in: page.data.map(s => s._id) } } },
+      { $group: { _id: '$series', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    page.data = page.data.map(s => ({ ...s.toObject(), bookCount: countById.get(s._id.toString()) || 0 }));
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a series with its books in reading order
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const books = await getSeriesBooks(series._id);
+
+    res.json({ series, books });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create series
+router.post('/',
+  requirePermission('books:write'),
+  [
+    body('name').trim().isLength({ min: 1 }).withMessage('Series name is required'),
+    body('description').optional().trim(),
+    body('plannedCount').optional().isInt({ min: 1 }).withMessage('Planned count must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, plannedCount } = req.body;
+
+      const series = new Series({ name, description, plannedCount });
+      await series.save();
+
+      res.status(201).json({
+        message: 'Series created successfully',
+        series
+      });
+    } catch (error) {
+      console.error('Create series error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update series
+router.put('/:id',
+  requirePermission('books:write'),
+  [
+    body('name').optional().trim().isLength({ min: 1 }).withMessage('Series name cannot be empty'),
+    body('description').optional().trim(),
+    body('plannedCount').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Planned count must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const series = await Series.findById(req.params.id);
+      if (!series) {
+        return res.status(404).json({ message: 'Series not found' });
+      }
+
+      const { name, description, plannedCount } = req.body;
+      if (name !== undefined) series.name = name;
+      if (description !== undefined) series.description = description;
+      if (plannedCount !== undefined) series.plannedCount = plannedCount;
+      await series.save();
+
+      res.json({
+        message: 'Series updated successfully',
+        series
+      });
+    } catch (error) {
+      console.error('Update series error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete series; its books stay in the catalog as standalone titles
+router.delete('/:id', requirePermission('books:write'), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    await Book.updateMany(
+      { series: series._id },
+      { $set: { series: null }, $unset: { seriesPosition: 1 } }
+    );
+    await Series.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Series deleted successfully' });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Shelf = require('../models/Shelf');
+const User = require('../models/User');
+const UserBook = require('../models/UserBook');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { getHiddenUserIds } = require('../utils/moderation');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MAX_SHELVES = 100;
+
+// Get your own shelves with the number of books on each
+router.get('/', auth, async (req, res) => {
+  try {
+    const shelves = await Shelf.find({ user: req.user._id }).sort({ order: 1, createdAt: 1 });
+
+    res.json({ shelves: await withBookCounts(req.user._id, shelves) });
+  } catch (error) {
+    console.error('Get shelves error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get another reader's public shelves
+router.get('/user/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name photo');
+    const hiddenUserIds = await getHiddenUserIds();
+    if (!user || hiddenUserIds.some(id => id.equals(user._id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const shelves = await Shelf.find({ user: user._id, isPublic: true }).sort({ order: 1, createdAt: 1 });
+
+    res.json({ user, shelves: await withBookCounts(user._id, shelves) });
+  } catch (error) {
+    console.error('Get public shelves error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the books on a shelf (your own, or anyone's public shelf)
+router.get('/:id/books', optionalAuth, async (req, res) => {
+  try {
+    const shelf = await Shelf.findById(req.params.id).populate('user', 'name');
+    if (!shelf || !(await canViewShelf(req, shelf))) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const pagination = parsePagination(req.query, { sortFields: ['updatedAt', 'createdAt'] });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    // Personal tags stay private
+    const page = await paginate(
+      UserBook,
+      { user: shelf.user._id, shelves: shelf._id },
+      pagination,
+      userBooks => userBooks.select('-tags').populate('book', 'title author coverImage averageRating')
+    );
+
+    sendPage(req, res, page, { shelf });
+  } catch (error) {
+    console.error('Get shelf books error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create shelf
+router.post('/',
+  auth,
+  [
+    body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Shelf name must be between 1 and 50 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description is too long'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, isPublic } = req.body;
+
+      const shelfCount = await Shelf.countDocuments({ user: req.user._id });
+      if (shelfCount >= MAX_SHELVES) {
+        return res.status(400).json({ message: `You can have at most ${MAX_SHELVES} shelves` });
+      }
+
+      if (await findShelfByName(req.user._id, name)) {
+        return res.status(400).json({ message: 'You already have a shelf with this name' });
+      }
+
+      // New shelves go to the end of the list
+      const lastShelf = await Shelf.findOne({ user: req.user._id }).sort({ order: -1 });
+
+      const shelf = await Shelf.create({
+        user: req.user._id,
+        name,
+        description,
+        isPublic: isPublic === true || isPublic === 'true',
+        order: lastShelf ? lastShelf.order + 1 : 0
+      });
+
+      res.status(201).json({
+        message: 'Shelf created successfully',
+        shelf
+      });
+    } catch (error) {
+      console.error('Create shelf error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reorder your shelves; `shelves` lists every shelf id in the new order
+router.put('/order',
+  auth,
+  [
+    body('shelves').isArray({ min: 1 }).withMessage('Shelves must be a list of shelf IDs'),
+    body('shelves.*').isMongoId().withMessage('Valid shelf ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const shelfIds = [...new Set(req.body.shelves)];
+      const shelves = await Shelf.find({ user: req.user._id });
+      if (shelves.length !== shelfIds.length || !shelves.every(shelf => shelfIds.includes(shelf._id.toString()))) {
+        return res.status(400).json({ message: 'The list must contain each of your shelves exactly once' });
+      }
+
+      await Shelf.bulkWrite(shelfIds.map((id, index) => ({
+        updateOne: { filter: { _id: id, user: req.user._id }, update: { order: index } }
+      })));
+
+      const ordered = await Shelf.find({ user: req.user._id }).sort({ order: 1 });
+      res.json({
+        message: 'Shelves reordered successfully',
+        shelves: ordered
+      });
+    } catch (error) {
+      console.error('Reorder shelves error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update shelf
+router.put('/:id',
+  auth,
+  [
+    body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Shelf name must be between 1 and 50 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description is too long'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const shelf = await Shelf.findOne({ _id: req.params.id, user: req.user._id });
+      if (!shelf) {
+        return res.status(404).json({ message: 'Shelf not found' });
+      }
+
+      const { name, description, isPublic } = req.body;
+
+      if (name !== undefined && name !== shelf.name) {
+        const existingShelf = await findShelfByName(req.user._id, name);
+        if (existingShelf && !existingShelf._id.equals(shelf._id)) {
+          return res.status(400).json({ message: 'You already have a shelf with this name' });
+        }
+        shelf.name = name;
+      }
+      if (description !== undefined) shelf.description = description;
+      if (isPublic !== undefined) shelf.isPublic = isPublic === true || isPublic === 'true';
+
+      await shelf.save();
+
+      res.json({
+        message: 'Shelf updated successfully',
+        shelf
+      });
+    } catch (error) {
+      console.error('Update shelf error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete shelf. Books stay in the library, they just leave this shelf.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const shelf = await Shelf.findOne({ _id: req.params.id, user: req.user._id });
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    await UserBook.updateMany(
+      { user: req.user._id, shelves: shelf._id },
+      { $pull: { shelves: shelf._id } }
+    );
+    await Shelf.deleteOne({ _id: shelf._id });
+
+    res.json({ message: 'Shelf deleted successfully' });
+  } catch (error) {
+    console.error('Delete shelf error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to find one of a user's shelves by name, ignoring case
+function findShelfByName(userId, name) {
+  return Shelf.findOne({
+    user: userId,
+    name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') }
+  });
+}
+
+// Helper function to escape user input for use in a regex
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to add the number of books to each shelf
+async function withBookCounts(userId, shelves) {
+  const counts = await UserBook.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), shelves: { $in: shelves.map(shelf => shelf._id) } } },
+    { $unwind: '$shelves' },
+    { $group: { _id: '$shelves', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  return shelves.map(shelf => ({
+    ...shelf.toObject(),
+    bookCount: countById.get(shelf._id.toString()) || 0
+  }));
+}
+
+// Helper function to check whether the requester may see a shelf. Public
+// shelves are open to everyone; private ones only to their owner.
+async function canViewShelf(req, shelf) {
+  if (shelf.isPublic) {
+    const hiddenUserIds = await getHiddenUserIds();
+    return !hiddenUserIds.some(id => id.equals(shelf.user._id));
+  }
+
+  return Boolean(req.user && shelf.user._id.equals(req.user._id));
+}
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const BookSuggestion = require('../models/BookSuggestion');
+const Book = require('../models/Book');
+const Genre = require('../models/Genre');
+const UserBook = require('../models/UserBook');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { upload, uploadToCloudinary, getDefaultCoverUrl } = require('../config/cloudinary');
+const { isValidIsbn, normalizeIsbn, toIsbn13 } = require('../utils/isbn');
+const { parseAuthorNames, resolveAuthors, toBookAuthors } = require('../utils/authors');
+const { resolveBookGenres } = require('../utils/genres');
+const { findDuplicatesOf } = require('../utils/duplicates');
+const { removeImages } = require('../utils/images');
+const { moveShelfCount } = require('../utils/shelfCounts');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Fields readers can fill in; moderators can change them before approving
+const SUGGESTION_FIELDS = ['title', 'author', 'description', 'genre', 'isbn', 'totalPages', 'publishedYear', 'publisher', 'language', 'format'];
+
+const suggestionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  keyPrefix: 'suggestions'
+});
+
+// Optional when editing, so only the fields being changed need to be sent
+const suggestionValidators = (editing = false) => {
+  const required = (field) => (editing ? body(field).optional() : body(field));
+  return [
+    required('title').trim().isLength({ min: 1, max: 300 }).withMessage('Title is required'),
+    required('author').trim().isLength({ min: 1, max: 300 }).withMessage('Author is required')
+      .custom(value => !parseAuthorNames(value).ambiguous).withMessage('Separate multiple authors with ";"'),
+    body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description is too long'),
+    body('genre').optional({ values: 'falsy' }).isMongoId().withMessage('Valid genre ID is required'),
+    body('isbn').optional({ values: 'falsy' }).custom(isValidIsbn).withMessage('Valid ISBN-10 or ISBN-13 is required'),
+    body('totalPages').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Total pages must be a positive number'),
+    body('publishedYear').optional({ values: 'falsy' }).isInt({ min: -3000, max: new Date().getFullYear() + 5 }).withMessage('Published year must be a year'),
+    body('publisher').optional().trim(),
+    body('language').optional().trim().isLength({ max: 35 }).withMessage('Language must be a language code'),
+    body('format').optional({ values: 'falsy' }).isIn(Book.schema.path('format').enumValues).withMessage('Invalid format')
+  ];
+};
+
+// Get your own suggestions and their status
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt'] });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const page = await paginate(
+      BookSuggestion,
+      { user: req.user._id },
+      pagination,
+      suggestions => suggestions.select('-coverAssets -possibleDuplicates').populate('book', 'title coverImage')
+    );
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get my suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the suggestion queue (pending by default, ?status=all for everything)
+router.get('/', requirePermission('books:write'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'title'],
+      defaultOrder: 'asc',
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const page = await paginate(BookSuggestion, query, pagination, suggestions => suggestions
+      .populate('user', 'name email')
+      .populate('genre', 'name')
+      .populate('possibleDuplicates.book', 'title author isbn coverImage'));
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single suggestion (the submitter or a catalog editor)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const suggestion = await BookSuggestion.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('genre', 'name')
+      .populate('book', 'title coverImage')
+      .populate('possibleDuplicates.book', 'title author isbn coverImage');
+
+    if (!suggestion || !canView(req, suggestion)) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    res.json({ suggestion });
+  } catch (error) {
+    console.error('Get suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest a book. Books already in the catalog are refused; similar books are
+// returned first and the suggestion is only saved once `confirmNew` is set.
+router.post('/',
+  auth,
+  requireVerifiedEmail,
+  suggestionLimiter,
+  upload.single('coverImage'),
+  [
+    ...suggestionValidators(),
+    body('shelf').optional({ values: 'falsy' }).isIn(['wantToRead', 'currentlyReading', 'read']).withMessage('Invalid shelf type')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = new BookSuggestion({ user: req.user._id, shelf: req.body.shelf || null });
+      const fieldError = await applySuggestionFields(suggestion, req.body);
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+
+      const duplicates = await findDuplicatesOf(new Book({
+        title: suggestion.title,
+        author: suggestion.author,
+        isbn: suggestion.isbn
+      }));
+
+      const sameIsbn = duplicates.find(match => match.reasons.includes('Same ISBN'));
+      if (sameIsbn) {
+        return res.status(409).json({
+          message: 'This book is already in the catalog',
+          book: sameIsbn.book
+        });
+      }
+
+      const confirmed = req.body.confirmNew === true || req.body.confirmNew === 'true';
+      if (duplicates.length > 0 && !confirmed) {
+        return res.status(409).json({
+          message: 'Similar books are already in the catalog. Send confirmNew to suggest it anyway.',
+          duplicates
+        });
+      }
+
+      const pending = await findPendingSuggestion(suggestion);
+      if (pending) {
+        return res.status(409).json({ message: 'This book has already been suggested and is waiting for review' });
+      }
+
+      suggestion.possibleDuplicates = duplicates.map(({ book, score, reasons }) => ({ book: book._id, score, reasons }));
+
+      if (req.file) {
+        try {
+          await setSuggestionCover(suggestion, req.file);
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload cover image' });
+        }
+      }
+
+      await suggestion.save();
+
+      res.status(201).json({
+        message: 'Thanks! Your suggestion will be reviewed soon.',
+        suggestion
+      });
+    } catch (error) {
+      console.error('Create suggestion error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Edit a pending suggestion without approving it
+router.put('/:id',
+  requirePermission('books:write'),
+  upload.single('coverImage'),
+  suggestionValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = await BookSuggestion.findById(req.params.id);
+      if (!suggestion) {
+        return res.status(404).json({ message: 'Suggestion not found' });
+      }
+      if (suggestion.status !== 'pending') {
+        return res.status(400).json({ message: 'This suggestion has already been reviewed' });
+      }
+
+      const fieldError = await applySuggestionFields(suggestion, req.body);
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+
+      let replacedAssets = [];
+      if (req.file) {
+        try {
+          replacedAssets = await setSuggestionCover(suggestion, req.file);
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload cover image' });
+        }
+      }
+
+      await suggestion.save();
+      await removeImages(replacedAssets);
+
+      res.json({
+        message: 'Suggestion updated successfully',
+        suggestion
+      });
+    } catch (error) {
+      console.error('Update suggestion error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Approve a suggestion, creating the book. Fields sent along are applied first,
+// so a moderator can fix the suggestion and approve it in one step.
+router.post('/:id/approve',
+  requirePermission('books:write'),
+  upload.single('coverImage'),
+  suggestionValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = await BookSuggestion.findById(req.params.id);
+      if (!suggestion) {
+        return res.status(404).json({ message: 'Suggestion not found' });
+      }
+      if (suggestion.status !== 'pending') {
+        return res.status(400).json({ message: 'This suggestion has already been reviewed' });
+      }
+
+      const fieldError = await applySuggestionFields(suggestion, req.body);
+      if (fieldError) {
+        return res.status(400).json({ message: fieldError });
+      }
+
+      if (!suggestion.genre) {
+        return res.status(400).json({ message: 'Choose a genre before approving' });
+      }
+      if ((suggestion.description || '').length < 10) {
+        return res.status(400).json({ message: 'Description must be at least 10 characters' });
+      }
+
+      const genreCheck = await resolveBookGenres(suggestion.genre, req.body.genres);
+      if (genreCheck.error) {
+        return res.status(400).json({ message: genreCheck.error });
+      }
+
+      if (suggestion.isbn) {
+        const existing = await Book.findOne({ isbn: { $in: isbnVariants(suggestion.isbn) } });
+        if (existing) {
+          return res.status(409).json({ message: `A book with this ISBN already exists: ${existing.title}`, book: existing });
+        }
+      }
+
+      const resolved = await resolveAuthors(suggestion.author);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+
+      let replacedAssets = [];
+      if (req.file) {
+        try {
+          replacedAssets = await setSuggestionCover(suggestion, req.file);
+        } catch (uploadError) {
+          console.error('Image upload error:', uploadError);
+          return res.status(500).json({ message: 'Failed to upload cover image' });
+        }
+      }
+
+      // The book takes over the suggestion's cover files
+      const book = await Book.create({
+        title: suggestion.title,
+        author: resolved.author,
+        authors: toBookAuthors(resolved.authors),
+        description: suggestion.description,
+        genre: suggestion.genre,
+        genres: genreCheck.genres,
+        isbn: suggestion.isbn || undefined,
+        totalPages: suggestion.totalPages || 0,
+        publishedYear: suggestion.publishedYear,
+        publisher: suggestion.publisher,
+        language: suggestion.language,
+        format: suggestion.format,
+        coverImage: suggestion.coverImage || getDefaultCoverUrl(),
+        coverImages: suggestion.coverImages,
+        coverAssets: suggestion.coverAssets
+      });
+
+      suggestion.status = 'approved';
+      suggestion.book = book._id;
+      suggestion.reviewedBy = req.user._id;
+      suggestion.reviewedAt = new Date();
+      await suggestion.save();
+      await removeImages(replacedAssets);
+
+      const userBook = suggestion.shelf ? await shelveForSubmitter(suggestion, book) : null;
+
+      res.json({
+        message: 'Suggestion approved and book created',
+        suggestion,
+        book,
+        userBook
+      });
+    } catch (error) {
+      console.error('Approve suggestion error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reject a suggestion with a reason the submitter can see
+router.post('/:id/reject',
+  requirePermission('books:write'),
+  [
+    body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = await BookSuggestion.findById(req.params.id);
+      if (!suggestion) {
+        return res.status(404).json({ message: 'Suggestion not found' });
+      }
+      if (suggestion.status !== 'pending') {
+        return res.status(400).json({ message: 'This suggestion has already been reviewed' });
+      }
+
+      const coverAssets = [...suggestion.coverAssets];
+      suggestion.status = 'rejected';
+      suggestion.rejectionReason = req.body.reason;
+      suggestion.reviewedBy = req.user._id;
+      suggestion.reviewedAt = new Date();
+      suggestion.coverAssets = [];
+      await suggestion.save();
+      await removeImages(coverAssets);
+
+      res.json({
+        message: 'Suggestion rejected',
+        suggestion
+      });
+    } catch (error) {
+      console.error('Reject suggestion error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Withdraw a pending suggestion (submitter) or delete any (catalog editor)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const suggestion = await BookSuggestion.findById(req.params.id);
+    if (!suggestion || !canView(req, suggestion)) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    if (!req.permissions.includes('books:write') && suggestion.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending suggestions can be withdrawn' });
+    }
+
+    await BookSuggestion.deleteOne({ _id: suggestion._id });
+    // Approved suggestions handed their cover over to the book
+    if (suggestion.status !== 'approved') {
+      await removeImages(suggestion.coverAssets);
+    }
+
+    res.json({ message: 'Suggestion deleted successfully' });
+  } catch (error) {
+    console.error('Delete suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to check who may see a suggestion
+function canView(req, suggestion) {
+  const ownerId = suggestion.user._id || suggestion.user;
+  return ownerId.equals(req.user._id) || req.permissions.includes('books:write');
+}
+
+// Helper function to copy submitted fields onto a suggestion. Returns an error
+// message, if any.
+async function applySuggestionFields(suggestion, data) {
+  for (const field of SUGGESTION_FIELDS) {
+    if (data[field] !== undefined) {
+      suggestion[field] = data[field] === '' ? undefined : data[field];
+    }
+  }
+
+  if (data.genre) {
+    const genre = await Genre.findById(data.genre);
+    if (!genre) {
+      return 'Invalid genre';
+    }
+  }
+
+  if (suggestion.isbn) {
+    suggestion.isbn = normalizeIsbn(suggestion.isbn);
+  }
+
+  return null;
+}
+
+// Helper function to find a pending suggestion for the same book
+function findPendingSuggestion(suggestion) {
+  const conditions = [{ user: suggestion.user, title: suggestion.title }];
+  if (suggestion.isbn) {
+    conditions.push({ isbn: { $in: isbnVariants(suggestion.isbn) } });
+  }
+  return BookSuggestion.findOne({ status: 'pending', $or: conditions });
+}
+
+// Helper function to get the stored and ISBN-13 forms of an ISBN
+function isbnVariants(isbn) {
+  return [...new Set([normalizeIsbn(isbn), toIsbn13(isbn)].filter(Boolean))];
+}
+
+// Helper function to store an uploaded cover on a suggestion. Returns the files
+// of the cover it replaces, to remove once the suggestion is saved.
+async function setSuggestionCover(suggestion, file) {
+  const previousAssets = [...suggestion.coverAssets];
+  const cover = await uploadToCloudinary(file.buffer, { preset: 'cover' });
+  suggestion.coverImage = cover.secure_url;
+  suggestion.coverImages = cover.variants;
+  suggestion.coverAssets = cover.assets;
+  return previousAssets;
+}
+
+// Helper function to put an approved book on the submitter's shelf
+async function shelveForSubmitter(suggestion, book) {
+  const { shelf } = suggestion;
+  const existing = await UserBook.findOne({ user: suggestion.user, book: book._id });
+  if (existing) {
+    return existing;
+  }
+
+  const userBook = await UserBook.create({
+    user: suggestion.user,
+    book: book._id,
+    shelf,
+    startedReading: shelf === 'currentlyReading' ? new Date() : undefined,
+    finishedReading: shelf === 'read' ? new Date() : undefined,
+    progress: shelf === 'read' ? { percentage: 100 } : { percentage: 0 }
+  });
+  await moveShelfCount(book._id, null, shelf);
+
+  return userBook;
+}
+
+module.exports = router;
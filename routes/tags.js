@@ -0,0 +1,115 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Book = require('../models/Book');
+const { requirePermission } = require('../middleware/auth');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Get approved tags with the number of books using them
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Tag.find({ status: 'approved' }).sort({ name: 1 });
+    const counts = await Book.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      tags: tags.map(tag => ({
+        _id: tag._id,
+        name: tag.name,
+        bookCount: countById.get(tag._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get tags for moderation
+router.get('/moderation', requirePermission('genres:write'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'name'],
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const page = await paginate(Tag, query, pagination, tags => tags.populate('createdBy', 'name email'));
+
+    sendPage(req, res, page);
+  } catch (error) {
+    console.error('Get tags for moderation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a tag. Rejected tags are taken off every book.
+router.put('/:id/status',
+  requirePermission('genres:write'),
+  [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tag = await Tag.findByIdAndUpdate(
+        req.params.id,
+        { status: req.body.status },
+        { new: true }
+      );
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      if (tag.status === 'rejected') {
+        await Book.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+      }
+
+      res.json({
+        message: `Tag ${req.body.status} successfully`,
+        tag
+      });
+    } catch (error) {
+      console.error('Update tag status error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete tag
+router.delete('/:id', requirePermission('genres:write'), async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    await Book.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+    await Tag.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { TRASH_TYPES, getRetentionDays, restoreItem, purgeItem } = require('../utils/trash');
+
+const router = express.Router();
+
+// Every route needs the permission that manages the item type in the URL
+const checkTrashType = (req, res, next) => {
+  const trashType = TRASH_TYPES[req.params.type];
+  if (!trashType) {
+    return res.status(404).json({ message: `Unknown trash type. Allowed: ${Object.keys(TRASH_TYPES).join(', ')}` });
+  }
+  if (!req.permissions.includes(trashType.permission)) {
+    return res.status(403).json({ message: `Access denied. Missing permission: ${trashType.permission}` });
+  }
+
+  req.trashType = trashType;
+  next();
+};
+
+// Helper function to load a trashed item
+const findTrashed = (model, id) => {
+  return model.findOne({ _id: id, deletedAt: { $ne: null } });
+};
+
+// List trashed items of one type
+router.get('/:type', requirePermission(), checkTrashType, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      sortFields: ['deletedAt'],
+      defaultSort: 'deletedAt',
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    // Records that went along with another item are restored through it
+    const page = await paginate(
+      req.trashType.model,
+      { deletedAt: { $ne: null }, deletedWith: null },
+      pagination,
+      items => items
+        .select(`${req.trashType.select} deletedAt deletedBy`)
+        .populate('deletedBy', 'name email')
+    );
+
+    const retentionDays = getRetentionDays();
+    page.data = page.data.map(item => ({
+      ...item.toObject(),
+      purgeAt: new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+    }));
+
+    sendPage(req, res, page, { retentionDays });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a trashed item with its related records
+router.post('/:type/:id/restore', requirePermission(), checkTrashType, async (req, res) => {
+  try {
+    const item = await findTrashed(req.trashType.model, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    await restoreItem(req.params.type, item);
+
+    res.json({ message: 'Item restored successfully', item });
+  } catch (error) {
+    console.error('Restore item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently delete a trashed item
+router.delete('/:type/:id', requirePermission(), checkTrashType, async (req, res) => {
+  try {
+    const item = await findTrashed(req.trashType.model, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    await purgeItem(req.params.type, item);
+
+    res.json({ message: 'Item permanently deleted' });
+  } catch (error) {
+    console.error('Purge item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,54 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Tutorial = require('../models/Tutorial');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+const { trashItem } = require('../utils/trash');
 
 const router = express.Router();
 
 // Get all tutorials
 router.get('/', auth, async (req, res) => {
   try {
-    const { category, page = 1, limit = 12 } = req.query;
+    const { category } = req.query;
+
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'title'],
+      defaultLimit: 12
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
     
     const query = { isActive: true };
     if (category && category !== 'all') {
       query.category = category;
     }
 
-    const tutorials = await Tutorial.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Tutorial.countDocuments(query);
+    const page = await paginate(Tutorial, query, pagination);
 
-    res.json({
-      tutorials,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    sendPage(req, res, page);
   } catch (error) {
     console.error('Get tutorials error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all tutorials for admin
-router.get('/admin', adminAuth, async (req, res) => {
+// Get all tutorials for staff (including inactive)
+router.get('/admin', requirePermission('tutorials:write'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    const tutorials = await Tutorial.find()
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'title', 'category'],
+      defaultLimit: 10,
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
 
-    const total = await Tutorial.countDocuments();
+    const page = await paginate(Tutorial, {}, pagination);
 
-    res.json({
-      tutorials,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    sendPage(req, res, page);
   } catch (error) {
     console.error('Get admin tutorials error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -74,9 +71,9 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Create tutorial (Admin only)
+// Create tutorial
 router.post('/', 
-  adminAuth,
+  requirePermission('tutorials:write'),
   [
     body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
     body('youtubeUrl').isURL().withMessage('Valid YouTube URL is required'),
@@ -122,9 +119,9 @@ router.post('/',
   }
 );
 
-// Update tutorial (Admin only)
+// Update tutorial
 router.put('/:id', 
-  adminAuth,
+  requirePermission('tutorials:write'),
   [
     body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
     body('youtubeUrl').isURL().withMessage('Valid YouTube URL is required'),
@@ -177,24 +174,26 @@ router.put('/:id',
   }
 );
 
-// Delete tutorial (Admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// Delete tutorial
+router.delete('/:id', requirePermission('tutorials:write'), async (req, res) => {
   try {
-    const tutorial = await Tutorial.findByIdAndDelete(req.params.id);
+    const tutorial = await Tutorial.findById(req.params.id);
     
     if (!tutorial) {
       return res.status(404).json({ message: 'Tutorial not found' });
     }
 
-    res.json({ message: 'Tutorial deleted successfully' });
+    await trashItem('tutorials', tutorial, req.user._id);
+
+    res.json({ message: 'Tutorial moved to trash' });
   } catch (error) {
     console.error('Delete tutorial error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Toggle tutorial status (Admin only)
-router.patch('/:id/toggle', adminAuth, async (req, res) => {
+// Toggle tutorial status
+router.patch('/:id/toggle', requirePermission('tutorials:write'), async (req, res) => {
   try {
     const tutorial = await Tutorial.findById(req.params.id);
     
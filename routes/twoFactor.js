@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, isTwoFactorRequired } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  hashToken,
+  issueTokens,
+  verifyTwoFactorChallenge,
+  revokeUserSessions
+} = require('../utils/tokens');
+
+const router = express.Router();
+
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyPrefix: '2fa-verify',
+  message: 'Too many verification attempts, please try again later'
+});
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Start enrollment: generate a secret and its provisioning URI
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'BookWorm'
+      })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+router.post('/enable',
+  auth,
+  [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({ message: 'Start two-factor setup first' });
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+      await user.save();
+
+      // Sessions opened without 2FA shouldn't outlive its activation
+      await revokeUserSessions(user._id, '2fa_enabled', req.authSession._id);
+
+      res.json({
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('2FA enable error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Turn 2FA off (requires password and a current code or recovery code)
+router.post('/disable',
+  auth,
+  [
+    body('password').exists().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (isTwoFactorRequired(req.permissions)) {
+        return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      const isMatch = await user.comparePassword(req.body.password);
+      if (!isMatch || !user.checkSecondFactor(req.body)) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.enabledAt = undefined;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.recoveryCodes = undefined;
+      user.twoFactor.lastUsedStep = undefined;
+      await user.save();
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Replace all recovery codes with a fresh set
+router.post('/recovery-codes',
+  auth,
+  [
+    body('code').isString().notEmpty().withMessage('Authentication code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+      await user.save();
+
+      res.json({
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('2FA recovery codes error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Second login step: exchange the challenge token and a code for tokens
+router.post('/verify',
+  verifyLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+      if (!challenge) {
+        return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+      }
+
+      const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+      }
+
+      if (user.isLocked()) {
+        const retryAfter = user.getLockRetryAfter();
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+          retryAfter
+        });
+      }
+
+      // Each challenge allows a few codes; after that the password is needed again
+      if (!(await User.claimTwoFactorChallengeAttempt(user._id, challenge.challengeId))) {
+        return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (!user.checkSecondFactor(req.body)) {
+        await user.registerFailedLogin();
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      // A challenge can only be completed once
+      if (!(await User.completeTwoFactorChallenge(user._id, challenge.challengeId))) {
+        return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+      }
+
+      // Store the used TOTP step or recovery code
+      await user.save();
+
+      const restriction = user.getRestrictionMessage();
+      if (restriction) {
+        return res.status(403).json({ message: restriction });
+      }
+
+      if (user.failedLoginAttempts > 0) {
+        await user.resetLoginAttempts();
+      }
+
+      const tokens = await issueTokens(user, req);
+
+      res.json({
+        message: 'Login successful',
+        ...tokens,
+        user: user.toAuthJSON(),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      });
+    } catch (error) {
+      console.error('2FA verify error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Helper function to generate one-time recovery codes like "a1b2c-3d4e5"
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+module.exports = router;
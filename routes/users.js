@@ -1,31 +1,45 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const UserBook = require('../models/UserBook');
 const Review = require('../models/Review');
-const { auth, adminAuth } = require('../middleware/auth');
+const ExportJob = require('../models/ExportJob');
+const Role = require('../models/Role');
+const Shelf = require('../models/Shelf');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getRolePermissions } = require('../utils/roles');
+const { getHiddenUserIds } = require('../utils/moderation');
+const { updateBookRating } = require('../utils/ratings');
+const { revokeUserSessions } = require('../utils/tokens');
+const { getSeriesProgress } = require('../utils/series');
+const { parsePagination, paginate, sendPage } = require('../utils/pagination');
+const {
+  countUserRecords,
+  collectUserData,
+  writeExportArchive,
+  queueExportJob,
+  getJobFilePath,
+  getSyncRecordLimit
+} = require('../utils/dataExport');
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/', adminAuth, async (req, res) => {
+// Get all users
+router.get('/', requirePermission('users:manage'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'name', 'email', 'role'],
+      defaultLimit: 10,
+      allowPages: true
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
 
-    const total = await User.countDocuments();
+    const page = await paginate(User, {}, pagination, users => users.select('-password'));
 
-    res.json({
-      users,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    sendPage(req, res, page);
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -35,21 +49,40 @@ router.get('/', adminAuth, async (req, res) => {
 // Get user's library
 router.get('/library', auth, async (req, res) => {
   try {
-    const { shelf } = req.query;
+    const { shelf, shelfId, tag } = req.query;
     
     const query = { user: req.user._id };
     if (shelf && ['wantToRead', 'currentlyReading', 'read'].includes(shelf)) {
       query.shelf = shelf;
     }
 
+    // One of your own shelves
+    if (shelfId) {
+      if (!mongoose.isValidObjectId(shelfId)) {
+        return res.status(400).json({ message: 'Invalid shelf ID' });
+      }
+      query.shelves = shelfId;
+    }
+
+    // Books carrying every given tag (?tag=a&tag=b or ?tag=a,b)
+    if (tag) {
+      const tags = [].concat(tag).flatMap(value => String(value).split(','))
+        .map(value => value.trim().toLowerCase())
+        .filter(Boolean);
+      if (tags.length > 0) {
+        query.tags = { $all: tags };
+      }
+    }
+
     const userBooks = await UserBook.find(query)
       .populate({
         path: 'book',
-        populate: {
-          path: 'genre',
-          select: 'name'
-        }
+        populate: [
+          { path: 'genre', select: 'name' },
+          { path: 'series', select: 'name' }
+        ]
       })
+      .populate('shelves', 'name')
       .sort({ updatedAt: -1 });
 
     // Group by shelf
@@ -70,6 +103,82 @@ router.get('/library', auth, async (req, res) => {
   }
 });
 
+// Get the personal tags used in the user's library with how often each is used
+router.get('/library/tags', auth, async (req, res) => {
+  try {
+    const tags = await UserBook.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({ tags: tags.map(({ _id, count }) => ({ name: _id, count })) });
+  } catch (error) {
+    console.error('Get library tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the custom shelves and personal tags of a book in the user's library
+router.patch('/library/:bookId',
+  auth,
+  [
+    body('shelves').optional().isArray().withMessage('Shelves must be a list of shelf IDs'),
+    body('shelves.*').isMongoId().withMessage('Valid shelf ID is required'),
+    body('tags').optional().isArray({ max: 50 }).withMessage('Tags must be a list of at most 50 tags'),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 40 }).withMessage('Tags must be between 1 and 40 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userBook = await UserBook.findOne({ user: req.user._id, book: req.params.bookId });
+      if (!userBook) {
+        return res.status(404).json({ message: 'Book not found in your library' });
+      }
+
+      if (req.body.shelves !== undefined) {
+        const shelfIds = [...new Set(req.body.shelves)];
+        const shelfCount = await Shelf.countDocuments({ _id: { $in: shelfIds }, user: req.user._id });
+        if (shelfCount !== shelfIds.length) {
+          return res.status(400).json({ message: 'Invalid shelf' });
+        }
+        userBook.shelves = shelfIds;
+      }
+
+      if (req.body.tags !== undefined) {
+        userBook.tags = [...new Set(req.body.tags.map(tag => tag.toLowerCase()))];
+      }
+
+      await userBook.save();
+      await userBook.populate('shelves', 'name');
+
+      res.json({
+        message: 'Library entry updated successfully',
+        userBook
+      });
+    } catch (error) {
+      console.error('Update library entry error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get progress through each series in the user's library
+router.get('/library/series', auth, async (req, res) => {
+  try {
+    const series = await getSeriesProgress(req.user._id);
+    res.json({ series });
+  } catch (error) {
+    console.error('Get series progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get user's reading stats
 router.get('/stats', auth, async (req, res) => {
   try {
@@ -131,6 +240,68 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Export all personal data as a zip archive.
+// Small accounts get the file right away, large ones (or ?async=true) get a job to poll.
+router.post('/export', auth, async (req, res) => {
+  try {
+    const recordCount = await countUserRecords(req.user._id);
+
+    if (req.query.async === 'true' || recordCount > getSyncRecordLimit()) {
+      const job = await queueExportJob(req.user._id);
+      return res.status(202).json({
+        message: 'Your export is being prepared',
+        job: formatExportJob(job)
+      });
+    }
+
+    const data = await collectUserData(req.user._id);
+    res.attachment(exportFileName());
+    res.type('application/zip');
+    await writeExportArchive(data, res);
+  } catch (error) {
+    console.error('Export data error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Get the status of an export job
+router.get('/export/:jobId', auth, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json({ job: formatExportJob(job) });
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a finished export
+router.get('/export/:jobId/download', auth, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+    if (!job || job.status !== 'completed' || job.expiresAt <= new Date()) {
+      return res.status(404).json({ message: 'Export not found or expired' });
+    }
+
+    res.download(getJobFilePath(job), exportFileName(job.completedAt), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Export not found or expired' });
+      }
+    });
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update reading goal
 router.put('/reading-goal', 
   auth,
@@ -160,11 +331,11 @@ router.put('/reading-goal',
   }
 );
 
-// Update user role (Admin only)
+// Update user role
 router.put('/:id/role', 
-  adminAuth,
+  requirePermission('users:manage'),
   [
-    body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')
+    body('role').trim().toLowerCase().isLength({ min: 1 }).withMessage('Role is required')
   ],
   async (req, res) => {
     try {
@@ -174,6 +345,25 @@ router.put('/:id/role',
       }
 
       const { role } = req.body;
+
+      const roleExists = await Role.exists({ name: role });
+      if (!roleExists) {
+        return res.status(400).json({ message: 'Role does not exist' });
+      }
+
+      const targetUser = await User.findById(req.params.id).select('role');
+      if (!targetUser) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Only admins may touch admin accounts or hand out permissions they don't hold
+      if (req.user.role !== 'admin') {
+        const rolePermissions = await getRolePermissions(role);
+        const exceedsOwn = rolePermissions.some(permission => !req.permissions.includes(permission));
+        if (role === 'admin' || targetUser.role === 'admin' || exceedsOwn) {
+          return res.status(403).json({ message: 'You cannot assign this role' });
+        }
+      }
       
       const user = await User.findByIdAndUpdate(
         req.params.id,
@@ -181,9 +371,8 @@ router.put('/:id/role',
         { new: true }
       ).select('-password');
 
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
+      // Force the user to sign in again with the new role
+      await revokeUserSessions(user._id, 'role_changed');
 
       res.json({
         message: 'User role updated successfully',
@@ -196,6 +385,143 @@ router.put('/:id/role',
   }
 );
 
+// Unlock an account locked by failed logins
+router.post('/:id/unlock', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.json({
+      message: 'User account unlocked successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user for a period of time
+router.post('/:id/suspend',
+  requirePermission('users:manage'),
+  [
+    body('until').optional().isISO8601().withMessage('Until must be a valid date'),
+    body('days').optional().isInt({ min: 1 }).withMessage('Days must be a positive number'),
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { until, days, reason } = req.body;
+      const suspendedUntil = until
+        ? new Date(until)
+        : days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+
+      if (!suspendedUntil || suspendedUntil <= new Date()) {
+        return res.status(400).json({ message: 'Provide a future date (until) or a number of days' });
+      }
+
+      const user = await findModeratableUser(req, res);
+      if (!user) return;
+
+      user.suspendedUntil = suspendedUntil;
+      user.suspensionReason = reason;
+      user.moderatedBy = req.user._id;
+      await user.save();
+
+      await revokeUserSessions(user._id, 'suspended');
+
+      res.json({
+        message: 'User suspended successfully',
+        user: formatModeratedUser(user)
+      });
+    } catch (error) {
+      console.error('Suspend user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Ban a user permanently
+router.post('/:id/ban',
+  requirePermission('users:manage'),
+  [
+    body('reason').optional().trim(),
+    body('hideContent').optional().isBoolean().withMessage('hideContent must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await findModeratableUser(req, res);
+      if (!user) return;
+
+      const wasHidden = user.bannedAt && user.hideContent;
+
+      user.bannedAt = new Date();
+      user.suspendedUntil = undefined;
+      user.suspensionReason = req.body.reason;
+      user.hideContent = req.body.hideContent === true || req.body.hideContent === 'true';
+      user.moderatedBy = req.user._id;
+      await user.save();
+
+      await revokeUserSessions(user._id, 'banned');
+
+      if (Boolean(wasHidden) !== user.hideContent) {
+        await refreshUserReviewRatings(user._id);
+      }
+
+      res.json({
+        message: 'User banned successfully',
+        user: formatModeratedUser(user)
+      });
+    } catch (error) {
+      console.error('Ban user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Lift a suspension or ban
+router.post('/:id/reinstate', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findModeratableUser(req, res);
+    if (!user) return;
+
+    const wasHidden = user.bannedAt && user.hideContent;
+
+    user.bannedAt = undefined;
+    user.suspendedUntil = undefined;
+    user.suspensionReason = undefined;
+    user.hideContent = false;
+    user.moderatedBy = req.user._id;
+    await user.save();
+
+    if (wasHidden) {
+      await refreshUserReviewRatings(user._id);
+    }
+
+    res.json({
+      message: 'User reinstated successfully',
+      user: formatModeratedUser(user)
+    });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Follow/Unfollow user
 router.post('/:id/follow', auth, async (req, res) => {
   try {
@@ -241,7 +567,8 @@ router.post('/:id/follow', auth, async (req, res) => {
 // Get activity feed
 router.get('/activity-feed', auth, async (req, res) => {
   try {
-    const following = req.user.following;
+    const hiddenUserIds = (await getHiddenUserIds()).map(id => id.toString());
+    const following = req.user.following.filter(id => !hiddenUserIds.includes(id.toString()));
     
     if (following.length === 0) {
       return res.json({ activities: [] });
@@ -300,4 +627,65 @@ router.get('/activity-feed', auth, async (req, res) => {
   }
 });
 
+// Helper function to load the target of a moderation action.
+// Sends the error response itself and returns null when not allowed.
+async function findModeratableUser(req, res) {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: 'You cannot moderate your own account' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select('-password');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (user.role === 'admin' && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Only admins can moderate admin accounts' });
+    return null;
+  }
+
+  return user;
+}
+
+function formatModeratedUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    suspendedUntil: user.suspendedUntil,
+    bannedAt: user.bannedAt,
+    suspensionReason: user.suspensionReason,
+    hideContent: user.hideContent
+  };
+}
+
+// Hiding or showing a user's reviews changes the ratings they count towards
+async function refreshUserReviewRatings(userId) {
+  const bookIds = await Review.distinct('book', { user: userId, status: 'approved' });
+  for (const bookId of bookIds) {
+    await updateBookRating(bookId);
+  }
+}
+
+// Helper function to describe an export job to the client
+function formatExportJob(job) {
+  return {
+    id: job._id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    fileSize: job.fileSize,
+    error: job.error,
+    statusUrl: `/api/users/export/${job._id}`,
+    downloadUrl: job.status === 'completed' ? `/api/users/export/${job._id}/download` : undefined
+  };
+}
+
+function exportFileName(date = new Date()) {
+  return `bookworm-export-${date.toISOString().slice(0, 10)}.zip`;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Work = require('../models/Work');
+const Book = require('../models/Book');
+const { requirePermission } = require('../middleware/auth');
+const { attachEdition, detachEdition, createWorkFromBook } = require('../utils/works');
+const { updateBookRating } = require('../utils/ratings');
+
+const router = express.Router();
+
+const EDITION_FIELDS = 'title author coverImage isbn format language publisher totalPages publishedYear averageRating ratingsCount';
+
+// Get a work with all of its editions
+router.get('/:id', async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id);
+    if (!work) {
+      return res.status(404).json({ message: 'Work not found' });
+    }
+
+    const editions = await Book.find({ work: work._id })
+      .select(EDITION_FIELDS)
+      .sort({ publishedYear: 1, createdAt: 1 });
+
+    res.json({ work, editions });
+  } catch (error) {
+    console.error('Get work error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create work. With `bookId` the work is prefilled from that book, which
+// becomes its first edition.
+router.post('/',
+  requirePermission('books:write'),
+  [
+    body('bookId').optional().isMongoId().withMessage('Valid book ID is required'),
+    body('title').if(body('bookId').not().exists()).trim().isLength({ min: 1 }).withMessage('Title is required'),
+    body('originalPublishedYear').optional().isInt().withMessage('Published year must be a year')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { bookId, title, author, description, originalPublishedYear } = req.body;
+      const fields = {};
+      if (title !== undefined) fields.title = title;
+      if (author !== undefined) fields.author = author;
+      if (description !== undefined) fields.description = description;
+      if (originalPublishedYear !== undefined) fields.originalPublishedYear = originalPublishedYear;
+
+      let work;
+      if (bookId) {
+        const book = await Book.findById(bookId);
+        if (!book) {
+          return res.status(404).json({ message: 'Book not found' });
+        }
+        if (book.work) {
+          return res.status(400).json({ message: 'This book is already an edition of another work' });
+        }
+        work = await createWorkFromBook(book, fields);
+      } else {
+        work = await Work.create(fields);
+      }
+
+      res.status(201).json({
+        message: 'Work created successfully',
+        work: await Work.findById(work._id)
+      });
+    } catch (error) {
+      console.error('Create work error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update work
+router.put('/:id',
+  requirePermission('books:write'),
+  [
+    body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
+    body('originalPublishedYear').optional().isInt().withMessage('Published year must be a year')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const work = await Work.findById(req.params.id);
+      if (!work) {
+        return res.status(404).json({ message: 'Work not found' });
+      }
+
+      for (const field of ['title', 'author', 'description', 'originalPublishedYear']) {
+        if (req.body[field] !== undefined) work[field] = req.body[field];
+      }
+      await work.save();
+
+      res.json({
+        message: 'Work updated successfully',
+        work
+      });
+    } catch (error) {
+      console.error('Update work error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Attach an edition. A book that belongs to another work is moved.
+router.post('/:id/editions',
+  requirePermission('books:write'),
+  [
+    body('bookId').isMongoId().withMessage('Valid book ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const work = await Work.findById(req.params.id);
+      if (!work) {
+        return res.status(404).json({ message: 'Work not found' });
+      }
+
+      const book = await Book.findById(req.body.bookId);
+      if (!book) {
+        return res.status(404).json({ message: 'Book not found' });
+      }
+      if (book.work && book.work.equals(work._id)) {
+        return res.status(400).json({ message: 'Book is already an edition of this work' });
+      }
+
+      await attachEdition(work, book);
+
+      res.json({
+        message: 'Edition attached successfully',
+        work: await Work.findById(work._id),
+        edition: await Book.findById(book._id).select(EDITION_FIELDS)
+      });
+    } catch (error) {
+      console.error('Attach edition error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Detach an edition; it becomes a standalone book again
+router.delete('/:id/editions/:bookId', requirePermission('books:write'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.bookId, work: req.params.id });
+    if (!book) {
+      return res.status(404).json({ message: 'Edition not found in this work' });
+    }
+
+    await detachEdition(book);
+
+    res.json({
+      message: 'Edition detached successfully',
+      work: await Work.findById(req.params.id),
+      edition: await Book.findById(book._id).select(EDITION_FIELDS)
+    });
+  } catch (error) {
+    console.error('Detach edition error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete work; its editions become standalone books
+router.delete('/:id', requirePermission('books:write'), async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id);
+    if (!work) {
+      return res.status(404).json({ message: 'Work not found' });
+    }
+
+    const editionIds = await Book.distinct('_id', { work: work._id });
+    await Book.updateMany({ work: work._id }, { work: null });
+    await Work.findByIdAndDelete(req.params.id);
+
+    for (const bookId of editionIds) {
+      await updateBookRating(bookId);
+    }
+
+    res.json({ message: 'Work deleted successfully' });
+  } catch (error) {
+    console.error('Delete work error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
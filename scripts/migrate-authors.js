@@ -0,0 +1,65 @@
+// Create Author documents from the free-text `Book.author` strings and link
+// every book that doesn't reference its authors yet. Books whose author text
+// is ambiguous (e.g. "Plato, Aristotle") keep it as is and are listed for
+// review. Safe to run repeatedly.
+//
+//   npm run migrate:authors            # apply
+//   npm run migrate:authors -- --dry   # only report what would change
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const { resolveAuthors, toBookAuthors } = require('../utils/authors');
+
+const dryRun = process.argv.includes('--dry');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Author.init();
+
+  const books = await Book.find({
+    $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }]
+  });
+
+  const authorsBefore = await Author.countDocuments();
+  const pendingAuthors = new Set();
+  let linked = 0;
+  let skipped = 0;
+
+  for (const book of books) {
+    const resolved = await resolveAuthors(book.author, { create: !dryRun });
+    if (resolved.error) {
+      console.log(`Needs review: "${book.title}" (${book._id}): ${resolved.error}`);
+      skipped++;
+      continue;
+    }
+
+    resolved.authors
+      .filter(entry => entry.author.isNew)
+      .forEach(entry => pendingAuthors.add(Author.normalizeName(entry.author.name)));
+
+    console.log(`${book.title}: ${resolved.authors.map(entry => entry.author.name).join(' | ')}`);
+
+    if (!dryRun) {
+      await Book.updateOne(
+        { _id: book._id },
+        { $set: { authors: toBookAuthors(resolved.authors), author: resolved.author } }
+      );
+    }
+    linked++;
+  }
+
+  const authorsCreated = dryRun ? pendingAuthors.size : (await Author.countDocuments()) - authorsBefore;
+  console.log(`${dryRun ? '[dry run] ' : ''}Books linked: ${linked}, needing review: ${skipped}, authors created: ${authorsCreated}`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('Author migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// Permanently delete trashed books, genres, reviews and tutorials older than
+// TRASH_RETENTION_DAYS (default 30). The server also runs this every hour.
+//
+//   npm run purge:trash
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { purgeExpiredTrash, getRetentionDays } = require('../utils/trash');
+
+async function purge() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const purged = await purgeExpiredTrash();
+  const summary = Object.entries(purged).map(([type, count]) => `${type}: ${count}`).join(', ');
+  console.log(`Purged items older than ${getRetentionDays()} days. ${summary}`);
+}
+
+purge()
+  .catch(error => {
+    console.error('Trash purge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
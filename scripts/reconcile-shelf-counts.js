@@ -0,0 +1,35 @@
+// Recompute Book.shelvedCount from the library entries and report every book
+// whose stored counts had drifted.
+//
+//   npm run reconcile:shelves            # fix drifted counts
+//   npm run reconcile:shelves -- --dry   # only report the drift
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { reconcileShelfCounts } = require('../utils/shelfCounts');
+
+const dryRun = process.argv.includes('--dry');
+
+async function reconcile() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { checked, drifted, drift } = await reconcileShelfCounts({ dryRun });
+
+  for (const { book, title, changes } of drift) {
+    const details = changes.map(({ shelf, stored, actual }) => `${shelf} ${stored} -> ${actual}`).join(', ');
+    console.log(`"${title}" (${book}): ${details}`);
+  }
+
+  const action = dryRun ? 'would be fixed' : 'fixed';
+  console.log(`Checked ${checked} books, ${drifted} ${action}.`);
+}
+
+reconcile()
+  .catch(error => {
+    console.error('Shelf count reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// Mark accounts created before email verification existed as verified, so
+// they aren't locked out of reviews and suggestions. Those documents have no
+// `emailVerified` field at all; newer accounts always store it. Safe to run
+// repeatedly.
+//
+//   npm run migrate:verified            # apply
+//   npm run migrate:verified -- --dry   # only report what would change
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+const dryRun = process.argv.includes('--dry');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = { emailVerified: { $exists: false } };
+
+  if (dryRun) {
+    const count = await User.countDocuments(filter);
+    console.log(`[dry run] Users marked verified: ${count}`);
+    return;
+  }
+
+  const result = await User.updateMany(filter, { $set: { emailVerified: true } });
+  console.log(`Users marked verified: ${result.modifiedCount}`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('Email verification migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
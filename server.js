@@ -6,25 +6,71 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { ensureDefaultRoles, removeRetiredPermissions } = require('./utils/roles');
+const { cleanupExpiredExports } = require('./utils/dataExport');
+const { purgeExpiredTrash } = require('./utils/trash');
+const { getLocalUploadsDir } = require('./config/storage');
+const { getTransport } = require('./config/mail');
+
+// Fail at startup rather than on the first email when mail isn't configured
+getTransport();
+
 const app = express();
 
+// Needed for correct client IPs (rate limits, sessions) behind a reverse proxy
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Images stored by the local storage driver
+app.use('/uploads', express.static(getLocalUploadsDir(), { maxAge: '365d', immutable: true }));
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/books', require('./routes/books'));
+app.use('/api/authors', require('./routes/authors'));
+app.use('/api/series', require('./routes/series'));
+app.use('/api/works', require('./routes/works'));
+app.use('/api/catalog', require('./routes/catalog'));
+app.use('/api/suggestions', require('./routes/suggestions'));
 app.use('/api/genres', require('./routes/genres'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/trash', require('./routes/trash'));
 app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/shelves', require('./routes/shelves'));
+app.use('/api/reading-sessions', require('./routes/readingSessions'));
 app.use('/api/tutorials', require('./routes/tutorials'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
-  .catch(err => console.log('MongoDB connection error:', err));
+  .then(() => {
+    console.log('MongoDB connected');
+    return ensureDefaultRoles();
+  })
+  .then(() => removeRetiredPermissions())
+  .then(() => {
+    startBackgroundJobs();
+  })
+  .catch(err => console.log('MongoDB startup error:', err));
+
+// Periodic maintenance tasks
+function startBackgroundJobs() {
+  setInterval(() => {
+    cleanupExpiredExports().catch(err => console.error('Export cleanup error:', err));
+    purgeExpiredTrash().catch(err => console.error('Trash purge error:', err));
+  }, 60 * 60 * 1000).unref();
+}
 
 // Basic route
 app.get('/', (req, res) => {
@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const Book = require('../models/Book');
+const UserBook = require('../models/UserBook');
+const Review = require('../models/Review');
+const BookSuggestion = require('../models/BookSuggestion');
+const Session = require('../models/Session');
+const Shelf = require('../models/Shelf');
+const ReadingSession = require('../models/ReadingSession');
+const ExportJob = require('../models/ExportJob');
+const ApiKey = require('../models/ApiKey');
+const { updateBookRating } = require('./ratings');
+const { removeExportFile } = require('./dataExport');
+const { removeImages } = require('./images');
+
+// Permanently delete a user and everything that hangs off the account
+async function deleteUserAccount(user) {
+  const userId = user._id;
+
+  // Take the user's books off the shelf counters. Entries trashed along with
+  // their book still count, since restoring the book brings them back.
+  const userBooks = await UserBook.find({ user: userId }).select('book shelf')
+    .setOptions({ withDeleted: true });
+  if (userBooks.length > 0) {
+    await Book.bulkWrite(userBooks.map(userBook => ({
+      updateOne: {
+        filter: { _id: userBook.book, [`shelvedCount.${userBook.shelf}`]: { $gt: 0 } },
+        update: { $inc: { [`shelvedCount.${userBook.shelf}`]: -1 } }
+      }
+    })));
+  }
+  await UserBook.deleteMany({ user: userId });
+  await Shelf.deleteMany({ user: userId });
+  await ReadingSession.deleteMany({ user: userId });
+
+  // Remove reviews and recompute the ratings they contributed to
+  const reviewedBookIds = await Review.distinct('book', { user: userId });
+  await Review.deleteMany({ user: userId });
+  for (const bookId of reviewedBookIds) {
+    await updateBookRating(bookId);
+  }
+
+  // Approved suggestions handed their cover files over to the book
+  const suggestions = await BookSuggestion.find({ user: userId, status: { $ne: 'approved' } });
+  await Promise.all(suggestions.map(suggestion => removeImages(suggestion.coverAssets)));
+  await BookSuggestion.deleteMany({ user: userId });
+
+  // Drop the user from other people's follower/following lists
+  await User.updateMany(
+    { $or: [{ followers: userId }, { following: userId }] },
+    { $pull: { followers: userId, following: userId } }
+  );
+
+  const exportJobs = await ExportJob.find({ user: userId });
+  await Promise.all(exportJobs.map(job => removeExportFile(job)));
+  await ExportJob.deleteMany({ user: userId });
+
+  await ApiKey.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+  await removeImages(user.photoAssets);
+}
+
+module.exports = { deleteUserAccount };
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+
+const AUTHOR_ROLES = ['author', 'translator', 'illustrator'];
+
+// "King, Jr." and "Tolkien, J. R. R." are the only commas we can read safely
+const NAME_SUFFIX = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+const INITIALS = /^(?:\p{Lu}\.\s*|\p{Lu}(?:\s+|$))+$/u;
+
+// Split free-text authors into names. ";", "&" and "and" separate authors.
+// Any other comma could be a list ("Plato, Aristotle") or a surname first
+// ("García Márquez, Gabriel"), so such text is flagged as ambiguous instead.
+//   "Terry Pratchett & Neil Gaiman" -> ["Terry Pratchett", "Neil Gaiman"]
+//   "Tolkien, J. R. R."             -> ["J. R. R. Tolkien"]
+//   "Martin Luther King, Jr."       -> ["Martin Luther King, Jr."]
+const parseAuthorNames = (value) => {
+  let ambiguous = false;
+
+  const names = String(value || '')
+    .split(/\s*(?:[;&]|\band\b)\s*/i)
+    .map(part => {
+      const pieces = part.split(',').map(piece => piece.trim()).filter(Boolean);
+      const parts = pieces.reduce((merged, piece) => {
+        if (merged.length > 0 && NAME_SUFFIX.test(piece)) {
+          merged[merged.length - 1] += `, ${piece}`;
+        } else {
+          merged.push(piece);
+        }
+        return merged;
+      }, []);
+
+      if (parts.length === 2 && INITIALS.test(parts[1])) {
+        return `${parts[1]} ${parts[0]}`;
+      }
+      if (parts.length > 1) {
+        ambiguous = true;
+      }
+      return pieces.join(', ');
+    })
+    .filter(Boolean);
+
+  return { names, ambiguous };
+};
+
+// Find an author by name or alias, creating one when `create` is set
+async function findOrCreateAuthor(name, { create = true } = {}) {
+  const key = Author.normalizeName(name);
+  if (!key) return null;
+
+  const existing = await Author.findOne({ nameKeys: key });
+  if (existing || !create) {
+    return existing;
+  }
+
+  return Author.create({ name: name.trim() });
+}
+
+// Display string for a book: the primary authors, or everyone if there are none.
+// Exports pass "; " so the names can be read back unambiguously.
+const formatAuthorNames = (entries, separator = ', ') => {
+  const primary = entries.filter(entry => entry.role === 'author');
+  return (primary.length > 0 ? primary : entries)
+    .map(entry => entry.author.name)
+    .join(separator);
+};
+
+// Turn request input into book author references. Accepts an array of
+// { author: id | name, role } entries (optionally JSON-encoded, for multipart
+// forms) or a plain author string. Resolves to { authors, author } where
+// `author` is the display string, or { error } when the input is unusable.
+async function resolveAuthors(input, { create = true } = {}) {
+  let entries = input;
+
+  if (typeof entries === 'string') {
+    try {
+      entries = entries.trim().startsWith('[') ? JSON.parse(entries) : null;
+    } catch (parseError) {
+      return { error: 'Authors must be a JSON array' };
+    }
+    if (!entries) {
+      const { names, ambiguous } = parseAuthorNames(input);
+      if (ambiguous) {
+        return { error: `Cannot tell the authors apart in "${input.trim()}". Separate authors with ";"` };
+      }
+      entries = names.map(name => ({ name, role: 'author' }));
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'At least one author is required' };
+  }
+
+  const authors = [];
+  for (const entry of entries) {
+    const { author: ref, name, role = 'author' } = typeof entry === 'string' ? { name: entry } : entry || {};
+
+    if (!AUTHOR_ROLES.includes(role)) {
+      return { error: `Unknown author role: ${role}` };
+    }
+
+    let author;
+    if (ref && mongoose.isValidObjectId(ref)) {
+      author = await Author.findById(ref);
+      if (!author) {
+        return { error: 'Author not found' };
+      }
+    } else {
+      author = await findOrCreateAuthor(name || ref, { create });
+      if (!author) {
+        if (create) return { error: 'Author name is required' };
+        author = new Author({ name: String(name || ref).trim() });
+      }
+    }
+
+    // The same person can hold several roles, but each role only once
+    if (!authors.some(existing => existing.author._id.equals(author._id) && existing.role === role)) {
+      authors.push({ author, role });
+    }
+  }
+
+  return { authors, author: formatAuthorNames(authors) };
+}
+
+// Shape resolved authors for storing on a book
+const toBookAuthors = (authors) => authors.map(({ author, role }) => ({ author: author._id, role }));
+
+// Rebuild the display string of every book credited to an author (after a
+// rename or merge)
+async function refreshAuthorDisplay(authorId) {
+  const books = await Book.find({ 'authors.author': authorId })
+    .select('author authors')
+    .populate('authors.author', 'name');
+
+  for (const book of books) {
+    const entries = book.authors.filter(entry => entry.author);
+    if (entries.length === 0) continue;
+
+    const author = formatAuthorNames(entries);
+    if (author !== book.author) {
+      await Book.updateOne({ _id: book._id }, { author });
+    }
+  }
+}
+
+module.exports = {
+  AUTHOR_ROLES,
+  parseAuthorNames,
+  findOrCreateAuthor,
+  formatAuthorNames,
+  resolveAuthors,
+  toBookAuthors,
+  refreshAuthorDisplay
+};
@@ -0,0 +1,112 @@
+const Book = require('../models/Book');
+const BookRedirect = require('../models/BookRedirect');
+const UserBook = require('../models/UserBook');
+const Review = require('../models/Review');
+const ReadingSession = require('../models/ReadingSession');
+const { updateBookRating, updateWorkRating } = require('./ratings');
+const { removeImages } = require('./images');
+const { recountShelves } = require('./shelfCounts');
+
+const SHELF_RANK = { wantToRead: 0, currentlyReading: 1, read: 2 };
+
+// Fields copied from the duplicate when the surviving book has no value
+const FILL_FIELDS = ['isbn', 'totalPages', 'publishedYear', 'publisher', 'format', 'language', 'series', 'seriesPosition', 'work'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === 0;
+
+const earliest = (a, b) => (a && b ? (a < b ? a : b) : a || b);
+const latest = (a, b) => (a && b ? (a > b ? a : b) : a || b);
+
+// Combine two shelf entries of the same user into `kept`, keeping whatever
+// shows the most reading progress
+const combineUserBooks = (kept, other) => {
+  if (SHELF_RANK[other.shelf] > SHELF_RANK[kept.shelf]) {
+    kept.shelf = other.shelf;
+  }
+  kept.startedReading = earliest(kept.startedReading, other.startedReading);
+  kept.finishedReading = latest(kept.finishedReading, other.finishedReading);
+  kept.personalRating = kept.personalRating || other.personalRating;
+  kept.progress.pagesRead = Math.max(kept.progress.pagesRead || 0, other.progress.pagesRead || 0);
+  kept.progress.percentage = Math.max(kept.progress.percentage || 0, other.progress.percentage || 0);
+  kept.shelves = [...new Map([...kept.shelves, ...other.shelves].map(id => [id.toString(), id])).values()];
+  kept.tags = [...new Set([...kept.tags, ...other.tags])];
+};
+
+// Merge `source` into `target`: shelf entries, reviews and missing details move
+// over, `source` is deleted and its id redirects to `target`.
+async function mergeBooks(target, source, mergedBy) {
+  const summary = { userBooksMoved: 0, userBooksCombined: 0, reviewsMoved: 0, reviewsDropped: 0 };
+
+  // Shelf entries; a user can only have one entry per book
+  const sourceUserBooks = await UserBook.find({ book: source._id }).setOptions({ withDeleted: true });
+  for (const userBook of sourceUserBooks) {
+    const existing = await UserBook.findOne({ user: userBook.user, book: target._id })
+      .setOptions({ withDeleted: true });
+
+    if (existing) {
+      combineUserBooks(existing, userBook);
+      await existing.save();
+      await UserBook.deleteOne({ _id: userBook._id });
+      summary.userBooksCombined++;
+    } else {
+      await UserBook.updateOne({ _id: userBook._id }, { book: target._id });
+      summary.userBooksMoved++;
+    }
+  }
+
+  // Reviews; when a user reviewed both, the most recent review wins
+  const sourceReviews = await Review.find({ book: source._id }).setOptions({ withDeleted: true });
+  for (const review of sourceReviews) {
+    const existing = await Review.findOne({ user: review.user, book: target._id })
+      .setOptions({ withDeleted: true });
+
+    if (existing && existing.updatedAt >= review.updatedAt) {
+      await Review.deleteOne({ _id: review._id });
+      summary.reviewsDropped++;
+      continue;
+    }
+    if (existing) {
+      await Review.deleteOne({ _id: existing._id });
+      summary.reviewsDropped++;
+    }
+    await Review.updateOne({ _id: review._id }, { book: target._id });
+    summary.reviewsMoved++;
+  }
+
+  // Reading history simply follows the book
+  const sessions = await ReadingSession.updateMany({ book: source._id }, { book: target._id });
+  summary.readingSessionsMoved = sessions.modifiedCount;
+
+  // The ISBN is unique, so the source has to let go of it first
+  const sourceIsbn = source.isbn;
+  await Book.updateOne({ _id: source._id }, { $unset: { isbn: 1 } });
+
+  for (const field of FILL_FIELDS) {
+    const value = field === 'isbn' ? sourceIsbn : source[field];
+    if (isEmpty(target[field]) && !isEmpty(value)) {
+      target[field] = value;
+    }
+  }
+
+  const union = (a, b) => [...new Map([...a, ...b].map(id => [id.toString(), id])).values()];
+  target.genres = union(target.genres, source.genres);
+  target.tags = union(target.tags, source.tags);
+  await target.save();
+
+  await Book.deleteOne({ _id: source._id });
+  await removeImages(source.coverAssets);
+
+  // Redirect the old id, including links that already pointed at it
+  await BookRedirect.updateMany({ to: source._id }, { to: target._id });
+  await BookRedirect.create({ from: source._id, to: target._id, mergedBy, title: source.title });
+
+  summary.shelvedCount = await recountShelves(target._id);
+  await updateBookRating(target._id);
+  if (source.work && !(target.work && target.work.equals(source.work))) {
+    await updateWorkRating(source.work);
+  }
+
+  return summary;
+}
+
+module.exports = { mergeBooks };
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Tag = require('../models/Tag');
+const Author = require('../models/Author');
+const { getGenreSubtreeIds } = require('./genres');
+const { buildSort, buildCursorCondition, buildPage } = require('./pagination');
+
+// Longest search text accepted by GET /api/books
+const MAX_SEARCH_LENGTH = 200;
+
+const SORT_FIELDS = ['relevance', 'createdAt', 'title', 'averageRating', 'ratingsCount', 'publishedYear', 'totalPages'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const rangeCondition = (field, min, max) => {
+  const range = {};
+  if (toNumber(min) !== undefined) range.$gte = toNumber(min);
+  if (toNumber(max) !== undefined) range.$lte = toNumber(max);
+  return Object.keys(range).length > 0 ? { [field]: range } : null;
+};
+
+// Longer words aren't typo-tolerant; the variants grow with the square of the length
+const MAX_TYPO_WORD_LENGTH = 30;
+
+// Regex matching a word with one typo: a missing, extra, swapped or wrong
+// letter ("tolkein" finds "tolkien"). Short and very long words have to match exactly.
+const typoPattern = (word) => {
+  const letters = [...word.toLowerCase()].map(escapeRegex);
+  if (letters.length < 4 || letters.length > MAX_TYPO_WORD_LENGTH) {
+    return letters.join('');
+  }
+
+  const variants = new Set([letters.join('')]);
+  for (let i = 0; i < letters.length; i++) {
+    variants.add([...letters.slice(0, i), '.', ...letters.slice(i + 1)].join(''));
+    variants.add([...letters.slice(0, i), ...letters.slice(i + 1)].join(''));
+    variants.add([...letters.slice(0, i), '.', ...letters.slice(i)].join(''));
+    if (i < letters.length - 1) {
+      variants.add([...letters.slice(0, i), letters[i + 1], letters[i], ...letters.slice(i + 2)].join(''));
+    }
+  }
+  return `(?:${[...variants].join('|')})`;
+};
+
+// Every search word has to (approximately) appear in the title or author
+const fuzzyCondition = (search) => {
+  const words = String(search).split(/\s+/).filter(Boolean).slice(0, 6);
+  return {
+    $and: words.map(word => {
+      const regex = new RegExp(typoPattern(word), 'i');
+      return { $or: [{ title: regex }, { author: regex }] };
+    })
+  };
+};
+
+// Filters other than the search text, as a list of conditions to AND together.
+// Resolves to { conditions } or { error } for unusable input.
+async function buildBookFilters({ genre, tag, author, minRating, maxRating, minYear, maxYear, minPages, maxPages }) {
+  const conditions = [];
+
+  // Genre filter, including sub-genres
+  if (genre) {
+    if (!mongoose.isValidObjectId(genre)) {
+      return { error: 'Invalid genre' };
+    }
+    const genreIds = await getGenreSubtreeIds(genre);
+    conditions.push({ $or: [{ genre: { $in: genreIds } }, { genres: { $in: genreIds } }] });
+  }
+
+  // Tag filter (approved tags only)
+  if (tag) {
+    const tagDoc = await Tag.findOne({ name: String(tag).trim().toLowerCase(), status: 'approved' });
+    conditions.push({ tags: tagDoc ? tagDoc._id : null });
+  }
+
+  // Author filter by id, or by name (aliases included)
+  if (author) {
+    if (mongoose.isValidObjectId(author)) {
+      conditions.push({ 'authors.author': new mongoose.Types.ObjectId(String(author)) });
+    } else {
+      const key = Author.normalizeName(author);
+      const authorIds = key ? await Author.distinct('_id', { nameKeys: key }) : [];
+      conditions.push({ $or: [
+        { 'authors.author': { $in: authorIds } },
+        { author: { $regex: escapeRegex(String(author).trim()), $options: 'i' } }
+      ] });
+    }
+  }
+
+  for (const range of [
+    rangeCondition('averageRating', minRating, maxRating),
+    rangeCondition('publishedYear', minYear, maxYear),
+    rangeCondition('totalPages', minPages, maxPages)
+  ]) {
+    if (range) conditions.push(range);
+  }
+
+  return { conditions };
+}
+
+// Facet counts over the matching books
+const facetStages = {
+  genres: [
+    { $project: { genreIds: { $setUnion: [{ $ifNull: ['$genres', []] }, ['$genre']] } } },
+    { $unwind: '$genreIds' },
+    { $group: { _id: '$genreIds', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 20 },
+    { $lookup: { from: 'genres', localField: '_id', foreignField: '_id', as: 'genre' } },
+    { $unwind: '$genre' },
+    { $project: { _id: 1, name: '$genre.name', count: 1 } }
+  ],
+  ratings: [
+    { $group: {
+      _id: { $switch: {
+        branches: [
+          { case: { $lte: [{ $ifNull: ['$ratingsCount', 0] }, 0] }, then: 'unrated' },
+          { case: { $gte: ['$averageRating', 4] }, then: '4-5' },
+          { case: { $gte: ['$averageRating', 3] }, then: '3-4' },
+          { case: { $gte: ['$averageRating', 2] }, then: '2-3' }
+        ],
+        default: '1-2'
+      } },
+      count: { $sum: 1 }
+    } },
+    { $sort: { _id: -1 } }
+  ],
+  decades: [
+    { $match: { publishedYear: { $type: 'number' } } },
+    { $group: { _id: { $multiply: [{ $floor: { $divide: ['$publishedYear', 10] } }, 10] }, count: { $sum: 1 } } },
+    { $sort: { _id: -1 } }
+  ]
+};
+
+// Search books with filters, sorting and facet counts in one aggregation.
+// Text search ranks by relevance; when it finds nothing we retry with
+// typo-tolerant matching on title and author. `pagination` comes from
+// parsePagination; facets and the total ignore the cursor.
+async function searchBooks(params, pagination) {
+  const { search } = params;
+
+  const filters = await buildBookFilters(params);
+  if (filters.error) {
+    return filters;
+  }
+
+  const run = async (mode) => {
+    const pipeline = [];
+    const conditions = [...filters.conditions];
+
+    if (mode === 'text') {
+      // $text has to be part of the first stage
+      pipeline.push({ $match: { $text: { $search: String(search) }, ...(conditions.length ? { $and: conditions } : {}) } });
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    } else {
+      if (mode === 'fuzzy') conditions.push(fuzzyCondition(search));
+      pipeline.push({ $match: conditions.length ? { $and: conditions } : {} });
+    }
+
+    // Relevance is the text score, or popularity when there is no score
+    const options = {
+      ...pagination,
+      field: pagination.sortBy === 'relevance' ? (mode === 'text' ? 'score' : 'ratingsCount') : pagination.sortBy
+    };
+    const cursorCondition = buildCursorCondition(options);
+
+    pipeline.push({ $facet: {
+      results: [
+        ...(cursorCondition ? [{ $match: cursorCondition }] : []),
+        { $sort: buildSort(options) },
+        { $limit: options.limit + 1 },
+        { $project: { _id: 1, score: 1, [options.field]: 1 } }
+      ],
+      total: [{ $count: 'count' }],
+      ...facetStages
+    } });
+
+    const [result] = await Book.aggregate(pipeline);
+    return { result, options };
+  };
+
+  let mode = search ? 'text' : 'all';
+  let { result, options } = await run(mode);
+  if (search && result.total.length === 0) {
+    mode = 'fuzzy';
+    ({ result, options } = await run(mode));
+  }
+
+  const page = buildPage(result.results, options, result.total.length > 0 ? result.total[0].count : 0);
+
+  // Load the page of books with the usual populated fields, in result order
+  const scores = new Map(page.data.map(item => [item._id.toString(), item.score]));
+  const books = await Book.find({ _id: { $in: page.data.map(item => item._id) } })
+    .populate('genre', 'name')
+    .populate('authors.author', 'name');
+  const byId = new Map(books.map(book => [book._id.toString(), book]));
+
+  return {
+    data: page.data
+      .map(item => byId.get(item._id.toString()))
+      .filter(Boolean)
+      .map(book => (mode === 'text' ? { ...book.toObject(), score: scores.get(book._id.toString()) } : book)),
+    pageInfo: page.pageInfo,
+    searchMode: mode === 'all' ? null : mode,
+    facets: {
+      genres: result.genres,
+      ratings: result.ratings.map(bucket => ({ bucket: bucket._id, count: bucket.count })),
+      decades: result.decades.map(decade => ({ decade: decade._id, label: `${decade._id}s`, count: decade.count }))
+    }
+  };
+}
+
+// Prefix autocomplete on titles and author names
+async function suggestBooks(q, limit = 8) {
+  const prefix = new RegExp(`^${escapeRegex(q)}`, 'i');
+  const wordPrefix = new RegExp(`\\b${escapeRegex(q)}`, 'i');
+
+  const [titleMatches, authors] = await Promise.all([
+    Book.find({ title: wordPrefix })
+      .select('title author coverImage publishedYear')
+      .sort({ ratingsCount: -1 })
+      .limit(limit * 2),
+    Author.find({ $or: [{ name: wordPrefix }, { aliases: wordPrefix }] })
+      .select('name photo')
+      .sort({ name: 1 })
+      .limit(5)
+  ]);
+
+  // Titles starting with the text rank above titles containing it
+  const books = titleMatches
+    .sort((a, b) => Number(prefix.test(b.title)) - Number(prefix.test(a.title)))
+    .slice(0, limit);
+
+  return { books, authors };
+}
+
+module.exports = { SORT_FIELDS, MAX_SEARCH_LENGTH, buildBookFilters, searchBooks, suggestBooks };
@@ -0,0 +1,212 @@
+const Book = require('../models/Book');
+const Genre = require('../models/Genre');
+const { getDefaultCoverUrl } = require('../config/cloudinary');
+const { normalizeIsbn, isValidIsbn } = require('./isbn');
+const { parseAuthorNames, formatAuthorNames, resolveAuthors, toBookAuthors } = require('./authors');
+
+// Columns understood by the importer; the export uses the same layout
+const CATALOG_COLUMNS = [
+  'isbn', 'title', 'author', 'description', 'genre',
+  'totalPages', 'publishedYear', 'coverImage',
+  'format', 'language', 'publisher'
+];
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const normalizeRecord = (record) => ({
+  isbn: text(record.isbn),
+  title: text(record.title),
+  author: text(record.author),
+  description: text(record.description),
+  genre: text(record.genre || record.genreName),
+  totalPages: text(record.totalPages),
+  publishedYear: text(record.publishedYear),
+  coverImage: text(record.coverImage || record.coverUrl),
+  format: text(record.format).toLowerCase(),
+  language: text(record.language).toLowerCase(),
+  publisher: text(record.publisher)
+});
+
+// Validate one record; `existing` is the book it would update, if any
+const validateRecord = (data, existing) => {
+  const errors = [];
+
+  if (!existing) {
+    if (!data.title) errors.push('Title is required');
+    if (!data.author) errors.push('Author is required');
+    if (data.description.length < 10) errors.push('Description must be at least 10 characters');
+    if (!data.genre) errors.push('Genre is required');
+  } else if (data.description && data.description.length < 10) {
+    errors.push('Description must be at least 10 characters');
+  }
+
+  if (data.author && !data.author.startsWith('[') && parseAuthorNames(data.author).ambiguous) {
+    errors.push('Cannot tell the authors apart. Separate authors with ";"');
+  }
+
+  if (data.totalPages && !(/^\d+$/.test(data.totalPages) && parseInt(data.totalPages, 10) >= 1)) {
+    errors.push('Total pages must be a positive number');
+  }
+
+  if (data.publishedYear && !/^-?\d{1,4}$/.test(data.publishedYear)) {
+    errors.push('Published year must be a year');
+  }
+
+  if (data.coverImage && !/^https?:\/\/\S+$/i.test(data.coverImage)) {
+    errors.push('Cover image must be an http(s) URL');
+  }
+
+  if (data.format && !Book.schema.path('format').enumValues.includes(data.format)) {
+    errors.push(`Format must be one of: ${Book.schema.path('format').enumValues.join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Import catalog records, upserting on ISBN. With `dryRun` nothing is written
+// but every row is still validated and classified as created/updated/failed.
+async function importCatalog(records, { dryRun = false, createGenres = false } = {}) {
+  const genres = await Genre.find();
+  const genresByName = new Map(genres.map(genre => [genre.name.toLowerCase(), genre]));
+  const newGenreNames = new Map();
+  const seenIsbns = new Set();
+  const rows = [];
+
+  for (const [index, record] of records.entries()) {
+    // JSON uploads can contain anything, e.g. null or a bare string
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      rows.push({ row: index + 1, status: 'failed', messages: ['Record must be an object'] });
+      continue;
+    }
+
+    const data = normalizeRecord(record);
+    const row = { row: index + 1, title: data.title, messages: [] };
+    rows.push(row);
+
+    try {
+      let existing = null;
+      if (data.isbn) {
+        if (!isValidIsbn(data.isbn)) {
+          row.messages.push('Invalid ISBN');
+        } else {
+          row.isbn = normalizeIsbn(data.isbn);
+          if (seenIsbns.has(row.isbn)) {
+            row.messages.push('Duplicate ISBN in file');
+          }
+          seenIsbns.add(row.isbn);
+          existing = await Book.findOne({ isbn: { $in: [row.isbn, data.isbn] } })
+            .setOptions({ withDeleted: true });
+          if (existing && existing.deletedAt) {
+            row.messages.push('A book with this ISBN is in the trash');
+          }
+        }
+      }
+
+      row.messages.push(...validateRecord(data, existing));
+
+      const genreKey = data.genre.toLowerCase();
+      let genre = genresByName.get(genreKey) || null;
+      if (data.genre && !genre && !createGenres) {
+        row.messages.push(`Unknown genre "${data.genre}"`);
+      }
+
+      if (row.messages.length > 0) {
+        row.status = 'failed';
+        continue;
+      }
+
+      if (data.genre && !genre && !newGenreNames.has(genreKey)) {
+        newGenreNames.set(genreKey, data.genre);
+      }
+
+      row.status = existing ? 'updated' : 'created';
+      if (existing) {
+        row.book = existing._id;
+        row.title = row.title || existing.title;
+      }
+
+      if (dryRun) {
+        continue;
+      }
+
+      if (data.genre && !genre) {
+        genre = await Genre.create({ name: newGenreNames.get(genreKey) });
+        genresByName.set(genreKey, genre);
+      }
+
+      const fields = {};
+      if (row.isbn) fields.isbn = row.isbn;
+      if (data.title) fields.title = data.title;
+      if (data.author) {
+        const resolved = await resolveAuthors(data.author);
+        if (resolved.error) {
+          row.status = 'failed';
+          row.messages.push(resolved.error);
+          continue;
+        }
+        fields.author = resolved.author;
+        fields.authors = toBookAuthors(resolved.authors);
+      }
+      if (data.description) fields.description = data.description;
+      if (genre) fields.genre = genre._id;
+      if (data.totalPages) fields.totalPages = parseInt(data.totalPages, 10);
+      if (data.publishedYear) fields.publishedYear = parseInt(data.publishedYear, 10);
+      if (data.coverImage) fields.coverImage = data.coverImage;
+      if (data.format) fields.format = data.format;
+      if (data.language) fields.language = data.language;
+      if (data.publisher) fields.publisher = data.publisher;
+
+      if (existing) {
+        existing.set(fields);
+        await existing.save();
+      } else {
+        const book = await Book.create({
+          totalPages: 0,
+          coverImage: getDefaultCoverUrl(),
+          ...fields
+        });
+        row.book = book._id;
+      }
+    } catch (error) {
+      console.error('Catalog import row error:', error);
+      row.status = 'failed';
+      row.messages.push(error.code === 11000 ? 'A book with this ISBN already exists' : 'Could not save this row');
+    }
+  }
+
+  return {
+    rows,
+    createdGenreNames: [...newGenreNames.values()],
+    totals: {
+      rows: rows.length,
+      created: rows.filter(row => row.status === 'created').length,
+      updated: rows.filter(row => row.status === 'updated').length,
+      failed: rows.filter(row => row.status === 'failed').length
+    }
+  };
+}
+
+// Flatten a book (with populated genre and authors) into an export row.
+// Authors are separated by ";" so the file imports back unchanged.
+const toCatalogRecord = (book) => {
+  const authors = (book.authors || []).filter(entry => entry.author && entry.author.name);
+
+  return {
+    id: book._id.toString(),
+    isbn: book.isbn || '',
+    title: book.title,
+    author: authors.length > 0 ? formatAuthorNames(authors, '; ') : book.author,
+    description: book.description,
+    genre: book.genre ? book.genre.name : '',
+    totalPages: book.totalPages,
+    publishedYear: book.publishedYear,
+    coverImage: book.coverImage,
+    format: book.format || '',
+    language: book.language || '',
+    publisher: book.publisher || '',
+    averageRating: book.averageRating,
+    ratingsCount: book.ratingsCount
+  };
+};
+
+module.exports = { CATALOG_COLUMNS, importCatalog, toCatalogRecord };
@@ -0,0 +1,79 @@
+// Minimal CSV helpers (RFC 4180 quoting)
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build a CSV document from objects; `columns` picks and orders the fields
+const toCsv = (rows, columns) => {
+  const header = columns.map(escapeCsvValue).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+// Parse a CSV document into rows of string values
+const parseCsvRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse a CSV document with a header row into objects keyed by column name
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return record;
+  });
+};
+
+module.exports = { escapeCsvValue, toCsv, parseCsvRows, parseCsv };
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const UserBook = require('../models/UserBook');
+const Review = require('../models/Review');
+const BookSuggestion = require('../models/BookSuggestion');
+const ReadingSession = require('../models/ReadingSession');
+const Session = require('../models/Session');
+const ExportJob = require('../models/ExportJob');
+const { toCsv } = require('./csv');
+
+const DOWNLOAD_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const STALE_JOB_AGE = 60 * 60 * 1000; // 1 hour
+
+const getExportDir = () => path.resolve(process.env.EXPORT_DIR || 'tmp/exports');
+
+// Accounts with more records than this are exported in the background
+const getSyncRecordLimit = () => parseInt(process.env.EXPORT_SYNC_MAX_RECORDS, 10) || 500;
+
+const countUserRecords = async (userId) => {
+  const [userBooks, reviews, readingSessions] = await Promise.all([
+    UserBook.countDocuments({ user: userId }).setOptions({ withDeleted: true }),
+    Review.countDocuments({ user: userId }).setOptions({ withDeleted: true }),
+    ReadingSession.countDocuments({ user: userId })
+  ]);
+  return userBooks + reviews + readingSessions;
+};
+
+// Gather everything we store about a user (secrets and hashes excluded)
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password')
+    .populate('followers', 'name')
+    .populate('following', 'name');
+
+  // Records in the trash are still stored, so they are exported too
+  const trashedBook = { path: 'book', select: 'title author isbn', options: { withDeleted: true } };
+
+  const userBooks = await UserBook.find({ user: userId })
+    .setOptions({ withDeleted: true })
+    .populate(trashedBook)
+    .populate('shelves', 'name')
+    .sort({ createdAt: 1 });
+
+  const reviews = await Review.find({ user: userId })
+    .setOptions({ withDeleted: true })
+    .populate(trashedBook)
+    .sort({ createdAt: 1 });
+
+  const readingSessions = await ReadingSession.find({ user: userId })
+    .populate('book', 'title author')
+    .sort({ date: 1 });
+
+  const suggestions = await BookSuggestion.find({ user: userId })
+    .sort({ createdAt: 1 });
+
+  const sessions = await Session.find({ user: userId })
+    .select('userAgent ip createdAt lastUsedAt expiresAt revokedAt')
+    .sort({ createdAt: 1 });
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      emailVerified: user.emailVerified,
+      photo: user.photo,
+      role: user.role,
+      twoFactorEnabled: user.twoFactor.enabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    readingGoal: {
+      year: user.readingGoal.year,
+      target: user.readingGoal.target,
+      completed: user.readingGoal.completed
+    },
+    library: userBooks.map(userBook => ({
+      bookId: userBook.book?._id || userBook.book,
+      title: userBook.book?.title,
+      author: userBook.book?.author,
+      isbn: userBook.book?.isbn,
+      shelf: userBook.shelf,
+      pagesRead: userBook.progress.pagesRead,
+      percentage: userBook.progress.percentage,
+      startedReading: userBook.startedReading,
+      finishedReading: userBook.finishedReading,
+      personalRating: userBook.personalRating,
+      customShelves: userBook.shelves.map(shelf => shelf.name).join('; '),
+      tags: userBook.tags.join('; '),
+      addedAt: userBook.createdAt,
+      updatedAt: userBook.updatedAt,
+      deletedAt: userBook.deletedAt
+    })),
+    reviews: reviews.map(review => ({
+      id: review._id,
+      bookId: review.book?._id || review.book,
+      title: review.book?.title,
+      author: review.book?.author,
+      rating: review.rating,
+      comment: review.comment,
+      status: review.status,
+      createdAt: review.createdAt,
+      updatedAt: review.updatedAt,
+      deletedAt: review.deletedAt
+    })),
+    readingSessions: readingSessions.map(session => ({
+      id: session._id,
+      bookId: session.book?._id || session.book,
+      title: session.book?.title,
+      author: session.book?.author,
+      date: session.date,
+      startPage: session.startPage,
+      endPage: session.endPage,
+      pagesRead: session.pagesRead,
+      minutes: session.minutes,
+      source: session.source
+    })),
+    suggestions: suggestions.map(suggestion => ({
+      id: suggestion._id,
+      title: suggestion.title,
+      author: suggestion.author,
+      isbn: suggestion.isbn,
+      status: suggestion.status,
+      rejectionReason: suggestion.rejectionReason,
+      bookId: suggestion.book,
+      createdAt: suggestion.createdAt,
+      reviewedAt: suggestion.reviewedAt
+    })),
+    followers: user.followers.map(follower => ({ id: follower._id, name: follower.name })),
+    following: user.following.map(followed => ({ id: followed._id, name: followed.name })),
+    sessions: sessions.map(session => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt
+    }))
+  };
+};
+
+// Write the export as a zip (JSON plus one CSV per collection) to `output`
+const writeExportArchive = (data, output) => {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'bookworm-data.json' });
+    const profileRow = {
+      ...data.profile,
+      readingGoalYear: data.readingGoal.year,
+      readingGoalTarget: data.readingGoal.target,
+      readingGoalCompleted: data.readingGoal.completed
+    };
+    archive.append(toCsv([profileRow], [
+      'id', 'name', 'email', 'pendingEmail', 'emailVerified', 'photo', 'role', 'twoFactorEnabled',
+      'readingGoalYear', 'readingGoalTarget', 'readingGoalCompleted', 'createdAt', 'updatedAt'
+    ]), { name: 'profile.csv' });
+    archive.append(toCsv(data.library, [
+      'bookId', 'title', 'author', 'isbn', 'shelf', 'pagesRead', 'percentage',
+      'startedReading', 'finishedReading', 'personalRating', 'customShelves', 'tags', 'addedAt', 'updatedAt', 'deletedAt'
+    ]), { name: 'library.csv' });
+    archive.append(toCsv(data.reviews, [
+      'id', 'bookId', 'title', 'author', 'rating', 'comment', 'status', 'createdAt', 'updatedAt', 'deletedAt'
+    ]), { name: 'reviews.csv' });
+    archive.append(toCsv(data.readingSessions, [
+      'id', 'bookId', 'title', 'author', 'date', 'startPage', 'endPage', 'pagesRead', 'minutes', 'source'
+    ]), { name: 'reading-sessions.csv' });
+    archive.append(toCsv(data.suggestions, [
+      'id', 'title', 'author', 'isbn', 'status', 'rejectionReason', 'bookId', 'createdAt', 'reviewedAt'
+    ]), { name: 'suggestions.csv' });
+    archive.append(toCsv(data.followers, ['id', 'name']), { name: 'followers.csv' });
+    archive.append(toCsv(data.following, ['id', 'name']), { name: 'following.csv' });
+    archive.append(toCsv(data.sessions, [
+      'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt'
+    ]), { name: 'sessions.csv' });
+
+    archive.finalize();
+  });
+};
+
+const getJobFilePath = (job) => path.join(getExportDir(), job.fileName);
+
+// Build the archive for a queued job on disk
+const runExportJob = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job) return;
+
+  try {
+    job.status = 'processing';
+    job.startedAt = new Date();
+    job.fileName = `${job._id}.zip`;
+    await job.save();
+
+    await fs.promises.mkdir(getExportDir(), { recursive: true });
+    const data = await collectUserData(job.user);
+    await writeExportArchive(data, fs.createWriteStream(getJobFilePath(job)));
+
+    const stats = await fs.promises.stat(getJobFilePath(job));
+    job.status = 'completed';
+    job.fileSize = stats.size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + DOWNLOAD_TTL);
+    await job.save();
+  } catch (error) {
+    console.error('Export job error:', error);
+    job.status = 'failed';
+    job.error = 'Export failed, please try again';
+    job.expiresAt = new Date(Date.now() + DOWNLOAD_TTL);
+    await job.save();
+  }
+};
+
+// Reuse a running job for the user or queue a new one
+const queueExportJob = async (userId) => {
+  await cleanupExpiredExports();
+
+  const activeJob = await ExportJob.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] },
+    createdAt: { $gt: new Date(Date.now() - STALE_JOB_AGE) }
+  });
+  if (activeJob) {
+    return activeJob;
+  }
+
+  const job = new ExportJob({ user: userId });
+  await job.save();
+
+  setImmediate(() => {
+    runExportJob(job._id).catch(error => console.error('Export job error:', error));
+  });
+
+  return job;
+};
+
+// Remove archives whose download link has expired
+const cleanupExpiredExports = async () => {
+  const expiredJobs = await ExportJob.find({ expiresAt: { $lte: new Date() } });
+  await Promise.all(expiredJobs.map(job => removeExportFile(job)));
+  await ExportJob.deleteMany({ _id: { $in: expiredJobs.map(job => job._id) } });
+};
+
+const removeExportFile = async (job) => {
+  if (!job.fileName) return;
+  await fs.promises.rm(getJobFilePath(job), { force: true });
+};
+
+module.exports = {
+  countUserRecords,
+  collectUserData,
+  writeExportArchive,
+  queueExportJob,
+  runExportJob,
+  getJobFilePath,
+  getSyncRecordLimit,
+  cleanupExpiredExports,
+  removeExportFile
+};
@@ -0,0 +1,171 @@
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const { toIsbn13 } = require('./isbn');
+
+const DEFAULT_THRESHOLD = 0.75;
+const CANDIDATE_FIELDS = 'title author isbn work coverImage publishedYear ratingsCount createdAt';
+
+// "The Hobbit, or There and Back Again" -> "hobbit or there and back again"
+const normalizeTitle = (title) => {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(the|a|an) /, '')
+    .trim();
+};
+
+// Title without a subtitle, which editions often add or drop
+const mainTitle = (title) => normalizeTitle(String(title || '').split(/[:(]/)[0]);
+
+const bigrams = (value) => {
+  const text = value.replace(/\s+/g, ' ');
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Sørensen–Dice coefficient over character bigrams, 0..1
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) total += count;
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+};
+
+// How likely two books are the same record, with the reasons for the score
+function scoreDuplicate(a, b) {
+  const isbnA = a.isbn && toIsbn13(a.isbn);
+  const isbnB = b.isbn && toIsbn13(b.isbn);
+  if (isbnA && isbnA === isbnB) {
+    return { score: 1, reasons: ['Same ISBN'] };
+  }
+
+  const titleScore = Math.max(
+    similarity(normalizeTitle(a.title), normalizeTitle(b.title)),
+    similarity(mainTitle(a.title), mainTitle(b.title))
+  );
+  const authorScore = similarity(Author.normalizeName(a.author), Author.normalizeName(b.author));
+
+  let score = titleScore * 0.6 + authorScore * 0.4;
+
+  // Different valid ISBNs usually mean different editions, not duplicates
+  if (isbnA && isbnB) {
+    score *= 0.8;
+  }
+
+  const reasons = [];
+  if (titleScore >= 0.9) reasons.push('Same title');
+  else if (titleScore >= 0.7) reasons.push('Similar title');
+  if (authorScore >= 0.9) reasons.push('Same author');
+  else if (authorScore >= 0.7) reasons.push('Similar author');
+  if (isbnA && isbnB) reasons.push('Different ISBNs');
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// Editions of the same work are grouped on purpose
+const sameWork = (a, b) => Boolean(a.work && b.work && a.work.equals(b.work));
+
+// Likely duplicates of one book, best match first
+async function findDuplicatesOf(book, { threshold = DEFAULT_THRESHOLD, limit = 10 } = {}) {
+  const isbn13 = book.isbn && toIsbn13(book.isbn);
+  const conditions = [];
+  if (book.isbn) {
+    conditions.push({ isbn: { $in: [book.isbn, isbn13].filter(Boolean) } });
+  }
+
+  const titleWords = mainTitle(book.title).split(' ').filter(word => word.length > 2);
+  if (titleWords.length > 0) {
+    conditions.push({ $text: { $search: titleWords.join(' ') } });
+  }
+
+  const candidates = [];
+  for (const condition of conditions) {
+    const found = await Book.find({ ...condition, _id: { $ne: book._id } })
+      .select(CANDIDATE_FIELDS)
+      .limit(50);
+    candidates.push(...found);
+  }
+
+  const seen = new Set();
+  return candidates
+    .filter(candidate => {
+      const id = candidate._id.toString();
+      if (seen.has(id) || sameWork(book, candidate)) return false;
+      seen.add(id);
+      return true;
+    })
+    .map(candidate => ({ book: candidate, ...scoreDuplicate(book, candidate) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Scan the catalog for likely duplicate pairs. Books are only compared within
+// blocks sharing an ISBN or the first title word, to avoid comparing every pair.
+async function findDuplicatePairs({ threshold = DEFAULT_THRESHOLD, limit = 100 } = {}) {
+  const books = await Book.find().select(CANDIDATE_FIELDS).lean();
+
+  const blocks = new Map();
+  const addToBlock = (key, book) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(book);
+  };
+
+  for (const book of books) {
+    const isbn13 = book.isbn && toIsbn13(book.isbn);
+    if (isbn13) addToBlock(`isbn:${isbn13}`, book);
+
+    const firstWord = mainTitle(book.title).split(' ')[0];
+    if (firstWord) addToBlock(`title:${firstWord}`, book);
+  }
+
+  const pairs = new Map();
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > 500) continue;
+
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]];
+        if (sameWork(a, b)) continue;
+
+        const key = [a._id.toString(), b._id.toString()].sort().join(':');
+        if (pairs.has(key)) continue;
+
+        const match = scoreDuplicate(a, b);
+        if (match.score >= threshold) {
+          pairs.set(key, { books: [a, b], ...match });
+        }
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeTitle,
+  similarity,
+  scoreDuplicate,
+  findDuplicatesOf,
+  findDuplicatePairs
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Genre = require('../models/Genre');
+const Book = require('../models/Book');
+
+// A genre and everything below it
+async function getGenreSubtreeIds(genreId) {
+  const descendantIds = await Genre.distinct('_id', { ancestors: genreId });
+  return [new mongoose.Types.ObjectId(String(genreId)), ...descendantIds];
+}
+
+const buildAncestors = (parent) => (parent ? [...parent.ancestors, parent._id] : []);
+
+// After a genre moved, rewrite the ancestor path of everything below it
+async function updateDescendantAncestors(genre) {
+  const descendants = await Genre.find({ ancestors: genre._id }).select('ancestors');
+
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex(id => id.equals(genre._id));
+    const ancestors = [...genre.ancestors, genre._id, ...descendant.ancestors.slice(index + 1)];
+    await Genre.updateOne({ _id: descendant._id }, { ancestors });
+  }
+}
+
+// Number of books per genre: `bookCount` for books tagged with the genre
+// itself, `totalBookCount` including its descendants (each book once)
+async function getGenreBookCounts() {
+  const allGenres = { $setUnion: [{ $ifNull: ['$genres', []] }, ['$genre']] };
+
+  const direct = await Book.aggregate([
+    { $project: { genreIds: allGenres } },
+    { $unwind: '$genreIds' },
+    { $group: { _id: '$genreIds', count: { $sum: 1 } } }
+  ]);
+
+  const total = await Book.aggregate([
+    { $project: { genreIds: allGenres } },
+    { $unwind: '$genreIds' },
+    { $lookup: { from: 'genres', localField: 'genreIds', foreignField: '_id', as: 'genreDoc' } },
+    { $unwind: '$genreDoc' },
+    { $project: { genreIds: { $concatArrays: [['$genreIds'], '$genreDoc.ancestors'] } } },
+    { $unwind: '$genreIds' },
+    { $group: { _id: { genre: '$genreIds', book: '$_id' } } },
+    { $group: { _id: '$_id.genre', count: { $sum: 1 } } }
+  ]);
+
+  const toMap = (rows) => new Map(rows.map(row => [row._id.toString(), row.count]));
+  return { direct: toMap(direct), total: toMap(total) };
+}
+
+// Nest genres under their parents, alphabetically at every level. Genres whose
+// parent is in the trash hang under the closest ancestor that isn't.
+const buildGenreTree = (genres, counts) => {
+  const nodes = new Map(genres.map(genre => [genre._id.toString(), {
+    ...genre.toObject(),
+    bookCount: counts.direct.get(genre._id.toString()) || 0,
+    totalBookCount: counts.total.get(genre._id.toString()) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentId = [...node.ancestors].reverse().find(id => nodes.has(id.toString()));
+    const parent = parentId && nodes.get(parentId.toString());
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+};
+
+// Genre ids from a request: an array, a JSON array or a comma separated
+// string (multipart forms)
+const parseGenreIds = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  let ids = value;
+  if (typeof ids === 'string') {
+    ids = ids.trim().startsWith('[') ? JSON.parse(ids) : ids.split(',');
+  }
+  return [...new Set([].concat(ids).map(id => String(id).trim()).filter(Boolean))];
+};
+
+// Check the primary and secondary genres of a book. Resolves to { genres }
+// (primary first) or { error }.
+async function resolveBookGenres(primary, secondary) {
+  let ids;
+  try {
+    ids = parseGenreIds(secondary);
+  } catch (parseError) {
+    return { error: 'Genres must be a list of genre IDs' };
+  }
+
+  ids = [...new Set([String(primary), ...ids])];
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid genre' };
+  }
+
+  const count = await Genre.countDocuments({ _id: { $in: ids } });
+  if (count !== ids.length) {
+    return { error: 'Invalid genre' };
+  }
+
+  return { genres: ids };
+}
+
+module.exports = {
+  getGenreSubtreeIds,
+  buildAncestors,
+  updateDescendantAncestors,
+  getGenreBookCounts,
+  buildGenreTree,
+  resolveBookGenres
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorageDriver } = require('../config/storage');
+
+// Sizes generated for each uploaded image; `large` is the main image URL
+const IMAGE_PRESETS = {
+  cover: {
+    small: { width: 100, height: 150 },
+    medium: { width: 200, height: 300 },
+    large: { width: 400, height: 600 }
+  },
+  photo: {
+    small: { width: 96, height: 96 },
+    large: { width: 400, height: 400 }
+  }
+};
+
+// Resize an image to every size of a preset and store the results. Returns the
+// main URL, the URL per size and the stored assets (for cleanup later).
+async function storeImage(buffer, { preset = 'cover', folder = 'bookworm' } = {}) {
+  const sizes = IMAGE_PRESETS[preset];
+  if (!sizes) {
+    throw new Error(`Unknown image preset "${preset}"`);
+  }
+
+  const driver = getStorageDriver();
+  const id = crypto.randomBytes(12).toString('hex');
+  const variants = {};
+  const assets = [];
+
+  try {
+    for (const [size, { width, height }] of Object.entries(sizes)) {
+      const resized = await sharp(buffer)
+        .rotate()
+        .resize(width, height, { fit: 'cover' })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+
+      const key = `${folder}/${preset}s/${id}-${size}.jpg`;
+      variants[size] = await driver.put(key, resized, 'image/jpeg');
+      assets.push({ driver: driver.name, key });
+    }
+  } catch (error) {
+    // Don't leave half an upload behind
+    await removeImages(assets);
+    throw error;
+  }
+
+  return { url: variants.large, variants, assets };
+}
+
+// Remove stored assets. Failures are logged, not thrown, so a storage outage
+// never blocks the update or delete that triggered the cleanup.
+async function removeImages(assets = []) {
+  await Promise.all(assets.map(async ({ driver, key }) => {
+    try {
+      await getStorageDriver(driver).remove(key);
+    } catch (error) {
+      console.error('Image cleanup error:', error);
+    }
+  }));
+}
+
+module.exports = { IMAGE_PRESETS, storeImage, removeImages };
@@ -0,0 +1,49 @@
+// ISBN-10 / ISBN-13 helpers
+
+// Strip hyphens, spaces and other formatting ("978-0-261-10221-7" -> "9780261102217")
+const normalizeIsbn = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).toUpperCase().replace(/[^0-9X]/g, '');
+};
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : parseInt(isbn[i], 10);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+};
+
+const isValidIsbn13 = (isbn) => {
+  if (!/^\d{13}$/.test(isbn)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += parseInt(isbn[i], 10) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+};
+
+const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+// Convert an ISBN-10 to its ISBN-13 form; ISBN-13s are returned unchanged
+const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+
+  const base = `978${isbn.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(base[i], 10) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${base}${(10 - (sum % 10)) % 10}`;
+};
+
+module.exports = { normalizeIsbn, isValidIsbn10, isValidIsbn13, isValidIsbn, toIsbn13 };
@@ -0,0 +1,36 @@
+const { issueTokens, signTwoFactorChallenge } = require('./tokens');
+
+// Finish a successful first-factor login (password or OIDC): refuse
+// restricted accounts, ask for a 2FA code when enabled, otherwise issue tokens
+async function sendLoginResponse(user, req, res) {
+  const restriction = user.getRestrictionMessage();
+  if (restriction) {
+    return res.status(403).json({ message: restriction });
+  }
+
+  // With 2FA enabled the first factor only unlocks the second step
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user, await user.startTwoFactorChallenge())
+    });
+  }
+
+  // Only reset failed attempts once every factor has been checked, otherwise
+  // a correct password would reset the lockout against guessing 2FA codes
+  if (user.failedLoginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  // Start a session and issue access/refresh tokens
+  const tokens = await issueTokens(user, req);
+
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    user: user.toAuthJSON()
+  });
+}
+
+module.exports = { sendLoginResponse };
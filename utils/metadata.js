@@ -0,0 +1,204 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+
+// Book metadata providers. Each provider exposes `lookup(isbn13)` and resolves
+// to a normalized record (or null when it doesn't know the book):
+//   { isbn, title, author, description, totalPages, publishedYear, coverImage, publisher, subjects }
+
+// Book fields a provider can fill in
+const METADATA_FIELDS = ['isbn', 'title', 'author', 'description', 'totalPages', 'publishedYear', 'coverImage', 'publisher'];
+
+const parseYear = (value) => {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : undefined;
+};
+
+const fetchJson = async (url) => {
+  const timeout = parseInt(process.env.METADATA_TIMEOUT_MS, 10) || 5000;
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Metadata request to ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+// Open Library (or any server speaking the same API, via OPENLIBRARY_URL)
+const createOpenLibraryProvider = () => {
+  const baseUrl = (process.env.OPENLIBRARY_URL || 'https://openlibrary.org').replace(/\/$/, '');
+
+  // The books API doesn't include descriptions, those live on the work
+  const fetchDescription = async (isbn) => {
+    const edition = await fetchJson(`${baseUrl}/isbn/${isbn}.json`);
+    if (!edition) return undefined;
+
+    let description = edition.description;
+    if (!description && edition.works && edition.works[0]) {
+      const work = await fetchJson(`${baseUrl}${edition.works[0].key}.json`);
+      description = work && work.description;
+    }
+
+    return typeof description === 'object' && description !== null ? description.value : description;
+  };
+
+  return {
+    name: 'openlibrary',
+    lookup: async (isbn) => {
+      const params = new URLSearchParams({ bibkeys: `ISBN:${isbn}`, format: 'json', jscmd: 'data' });
+      const data = await fetchJson(`${baseUrl}/api/books?${params.toString()}`);
+      const book = data && data[`ISBN:${isbn}`];
+      if (!book) {
+        return null;
+      }
+
+      const description = await fetchDescription(isbn).catch(() => undefined);
+
+      return {
+        isbn,
+        title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+        author: (book.authors || []).map(author => author.name).join('; '),
+        description,
+        totalPages: book.number_of_pages,
+        publishedYear: parseYear(book.publish_date),
+        coverImage: book.cover && (book.cover.large || book.cover.medium),
+        publisher: book.publishers && book.publishers[0] && book.publishers[0].name,
+        subjects: (book.subjects || []).map(subject => subject.name)
+      };
+    }
+  };
+};
+
+// Reads records keyed by ISBN-13 from a JSON file, for offline development and tests
+const createFixtureProvider = () => {
+  const file = path.resolve(process.env.METADATA_FIXTURES || 'fixtures/metadata.json');
+  let records;
+
+  return {
+    name: 'fixture',
+    lookup: async (isbn) => {
+      if (!records) {
+        records = JSON.parse(await fs.readFile(file, 'utf8'));
+      }
+
+      const record = records[isbn];
+      return record ? { ...record, isbn } : null;
+    }
+  };
+};
+
+const providers = {
+  openlibrary: createOpenLibraryProvider,
+  fixture: createFixtureProvider
+};
+
+const instances = new Map();
+
+const getMetadataProviderNames = () => {
+  return (process.env.METADATA_PROVIDERS || 'openlibrary')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+};
+
+const getMetadataProvider = (name) => {
+  if (!instances.has(name)) {
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown metadata provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+};
+
+// Look an ISBN up with the given provider, or try every configured provider in
+// order. Resolves to { provider, metadata } or null when nobody knows the book.
+const lookupMetadata = async (value, providerName) => {
+  if (!isValidIsbn(value)) {
+    throw new Error('Invalid ISBN');
+  }
+
+  const isbn = toIsbn13(value);
+  const names = providerName ? [providerName] : getMetadataProviderNames();
+  let lastError;
+
+  for (const name of names) {
+    try {
+      const metadata = await getMetadataProvider(name).lookup(isbn);
+      if (metadata) {
+        return { provider: name, metadata: cleanMetadata(metadata) };
+      }
+    } catch (error) {
+      console.error(`Metadata provider ${name} error:`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+  return null;
+};
+
+// Drop empty values and coerce numbers so records can be compared with books
+const cleanMetadata = (metadata) => {
+  const cleaned = {};
+
+  for (const field of METADATA_FIELDS) {
+    let value = metadata[field];
+    if (field === 'totalPages' || field === 'publishedYear') {
+      value = parseInt(value, 10);
+      if (!Number.isFinite(value) || value < 1) continue;
+    } else if (typeof value === 'string') {
+      value = value.trim();
+    }
+
+    if (value !== undefined && value !== null && value !== '') {
+      cleaned[field] = value;
+    }
+  }
+
+  cleaned.subjects = metadata.subjects || [];
+  return cleaned;
+};
+
+// Field-by-field changes the metadata would make to a book
+const diffBookMetadata = (book, metadata) => {
+  const changes = [];
+
+  for (const field of METADATA_FIELDS) {
+    const proposed = metadata[field];
+    if (proposed === undefined) continue;
+
+    const current = book[field];
+    let same;
+    if (field === 'isbn') {
+      same = current && toIsbn13(current) === proposed;
+    } else if (field === 'author') {
+      // Providers separate authors with ";", book display strings with ","
+      same = Boolean(current) && current === String(proposed).split('; ').join(', ');
+    } else {
+      same = current !== undefined && current !== null && String(current) === String(proposed);
+    }
+
+    if (!same) {
+      changes.push({ field, current: current === undefined ? null : current, proposed });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  METADATA_FIELDS,
+  getMetadataProviderNames,
+  lookupMetadata,
+  diffBookMetadata
+};
@@ -0,0 +1,8 @@
+const User = require('../models/User');
+
+// Ids of banned users whose reviews and activity are hidden from others
+function getHiddenUserIds() {
+  return User.distinct('_id', { bannedAt: { $ne: null }, hideContent: true });
+}
+
+module.exports = { getHiddenUserIds };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect authorization code flow with PKCE (RFC 7636)
+
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const randomString = () => base64Url(crypto.randomBytes(32));
+
+const createPkcePair = () => {
+  const codeVerifier = randomString();
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with status ${response.status}`);
+    error.details = data;
+    throw error;
+  }
+  return data;
+};
+
+// Provider metadata from /.well-known/openid-configuration
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error('OIDC discovery issuer does not match the configured issuer');
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, expiresAt: Date.now() + CACHE_TTL });
+  return metadata;
+};
+
+const fetchJwks = async (jwksUri) => {
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + CACHE_TTL });
+  return keys;
+};
+
+// Find the signing key for a token; refetch once in case keys were rotated
+const getSigningKey = async (jwksUri, kid) => {
+  const cached = jwksCache.get(jwksUri);
+  let keys = cached && cached.expiresAt > Date.now() ? cached.keys : await fetchJwks(jwksUri);
+
+  let jwk = keys.find(key => key.kid === kid || (!kid && keys.length === 1));
+  if (!jwk && cached) {
+    keys = await fetchJwks(jwksUri);
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const metadata = await discover(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const metadata = await discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+};
+
+// Verify signature, issuer, audience, expiry and nonce of an ID token
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const metadata = await discover(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+const fetchUserInfo = async (provider, accessToken) => {
+  const metadata = await discover(provider);
+  if (!metadata.userinfo_endpoint) {
+    return {};
+  }
+
+  return fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+  });
+};
+
+module.exports = {
+  randomString,
+  createPkcePair,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+};
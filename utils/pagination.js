@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+
+// Shared list pagination. Lists are cursor based by default: the cursor is an
+// opaque token holding the sort value and _id of the last item, so pages stay
+// stable while documents are added. Admin tables can also use ?page=N.
+//
+// Responses use the `{ data, pageInfo }` envelope and a Link header.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Cursors come back from clients, so the stored value must be a plain scalar
+// of the recorded type; anything else (e.g. an operator object) is rejected
+const isValidCursorValue = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+  const { t, v } = value;
+  if (v === null) return ['date', 'id', 'raw'].includes(t);
+  if (t === 'date') return typeof v === 'string' && !Number.isNaN(new Date(v).getTime());
+  if (t === 'id') return typeof v === 'string' && mongoose.isValidObjectId(v);
+  return t === 'raw' && ['string', 'number', 'boolean'].includes(typeof v);
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' ||
+      typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id) ||
+      !isValidCursorValue(payload.v)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Dates and ObjectIds don't survive JSON, so the cursor records the type
+const serializeValue = (value) => {
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { t: 'id', v: value.toString() };
+  return { t: 'raw', v: value === undefined ? null : value };
+};
+
+const deserializeValue = ({ t, v }) => {
+  if (v === null) return null;
+  if (t === 'date') return new Date(v);
+  if (t === 'id') return new mongoose.Types.ObjectId(String(v));
+  return v;
+};
+
+// Read limit, sort and cursor/page from the query string.
+//   sortFields   whitelisted fields for ?sortBy
+//   defaultSort  field used when ?sortBy is missing
+//   allowPages   accept ?page=N (admin tables)
+// Resolves to the pagination options or { error }.
+function parsePagination(query, { sortFields = ['createdAt'], defaultSort = 'createdAt', defaultOrder = 'desc', defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT, allowPages = false } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'Limit must be a positive number' };
+  }
+
+  const sortBy = query.sortBy || defaultSort;
+  if (!sortFields.includes(sortBy)) {
+    return { error: `Cannot sort by ${sortBy}. Allowed: ${sortFields.join(', ')}` };
+  }
+
+  const sortOrder = query.sortOrder || defaultOrder;
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'Sort order must be asc or desc' };
+  }
+
+  const options = {
+    limit: Math.min(limit, maxLimit),
+    sortBy,
+    sortOrder,
+    mode: 'cursor',
+    cursor: null
+  };
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.s !== sortBy || cursor.o !== sortOrder) {
+      return { error: 'Cursor does not match the sort order' };
+    }
+    options.cursor = cursor;
+  } else if (allowPages && query.page !== undefined) {
+    const page = parseInt(query.page, 10);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'Page must be a positive number' };
+    }
+    options.mode = 'page';
+    options.page = page;
+  }
+
+  return options;
+}
+
+// The document field behind a sort option; usually the option itself, but a
+// caller can map e.g. sortBy=relevance to the text score via `field`
+const sortField = (options) => options.field || options.sortBy;
+
+// Sort spec with _id as tie-breaker
+const buildSort = (options) => {
+  const field = sortField(options);
+  const direction = options.sortOrder === 'asc' ? 1 : -1;
+  return field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+};
+
+// Condition selecting the documents after the cursor. Missing values sort
+// before everything else in MongoDB, which the null branches account for.
+function buildCursorCondition(options) {
+  const { sortOrder, cursor } = options;
+  if (!cursor) return null;
+
+  const sortBy = sortField(options);
+  const id = new mongoose.Types.ObjectId(String(cursor.id));
+  const after = sortOrder === 'asc' ? '$gt' : '$lt';
+
+  if (sortBy === '_id') {
+    return { _id: { [after]: id } };
+  }
+
+  const value = deserializeValue(cursor.v);
+  if (value === null) {
+    return sortOrder === 'asc'
+      ? { $or: [{ [sortBy]: null, _id: { $gt: id } }, { [sortBy]: { $ne: null } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const branches = [
+    { [sortBy]: { [after]: value } },
+    { [sortBy]: value, _id: { [after]: id } }
+  ];
+  if (sortOrder === 'desc') {
+    branches.push({ [sortBy]: null });
+  }
+  return { $or: branches };
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const cursorFor = (doc, options) => encodeCursor({
+  s: options.sortBy,
+  o: options.sortOrder,
+  v: serializeValue(getPath(doc, sortField(options))),
+  id: doc._id.toString()
+});
+
+// Turn a fetched page (limit + 1 items in cursor mode) into { data, pageInfo }
+function buildPage(items, options, total) {
+  const { limit, sortBy, sortOrder, mode } = options;
+
+  if (mode === 'page') {
+    const totalPages = Math.ceil(total / limit);
+    return {
+      data: items,
+      pageInfo: {
+        mode,
+        page: options.page,
+        limit,
+        sortBy,
+        sortOrder,
+        total,
+        totalPages,
+        hasNextPage: options.page < totalPages,
+        hasPreviousPage: options.page > 1
+      }
+    };
+  }
+
+  const hasNextPage = items.length > limit;
+  const data = hasNextPage ? items.slice(0, limit) : items;
+
+  return {
+    data,
+    pageInfo: {
+      mode,
+      limit,
+      sortBy,
+      sortOrder,
+      total,
+      hasNextPage,
+      hasPreviousPage: Boolean(options.cursor),
+      startCursor: data.length > 0 ? cursorFor(data[0], options) : null,
+      endCursor: data.length > 0 ? cursorFor(data[data.length - 1], options) : null
+    }
+  };
+}
+
+// Paginate a Model.find(). `customize` can add populate/select to the query.
+async function paginate(Model, filter, options, customize = query => query) {
+  const cursorCondition = buildCursorCondition(options);
+  const pageFilter = cursorCondition ? { $and: [filter, cursorCondition] } : filter;
+
+  let query = Model.find(pageFilter).sort(buildSort(options));
+  query = options.mode === 'page'
+    ? query.skip((options.page - 1) * options.limit).limit(options.limit)
+    : query.limit(options.limit + 1);
+
+  const [items, total] = await Promise.all([
+    customize(query),
+    Model.countDocuments(filter)
+  ]);
+
+  return buildPage(items, options, total);
+}
+
+// Link header (RFC 8288) with next/prev/first relations
+function setLinkHeader(req, res, pageInfo) {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  const link = (params, rel) => {
+    const search = new URLSearchParams(req.query);
+    search.delete('cursor');
+    search.delete('page');
+    Object.entries(params).forEach(([key, value]) => search.set(key, value));
+    const queryString = search.toString();
+    return `<${base}${queryString ? `?${queryString}` : ''}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (pageInfo.mode === 'page') {
+    links.push(link({ page: 1 }, 'first'));
+    if (pageInfo.hasPreviousPage) links.push(link({ page: pageInfo.page - 1 }, 'prev'));
+    if (pageInfo.hasNextPage) links.push(link({ page: pageInfo.page + 1 }, 'next'));
+    if (pageInfo.totalPages > 0) links.push(link({ page: pageInfo.totalPages }, 'last'));
+  } else {
+    links.push(link({}, 'first'));
+    if (pageInfo.hasNextPage) links.push(link({ cursor: pageInfo.endCursor }, 'next'));
+  }
+
+  res.set('Link', links.join(', '));
+}
+
+// Helper to send a paginated response
+function sendPage(req, res, page, extra = {}) {
+  setLinkHeader(req, res, page.pageInfo);
+  res.json({ ...page, ...extra });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  buildSort,
+  buildCursorCondition,
+  buildPage,
+  paginate,
+  sendPage
+};
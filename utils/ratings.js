@@ -0,0 +1,57 @@
+const Book = require('../models/Book');
+const Work = require('../models/Work');
+const Review = require('../models/Review');
+const { getHiddenUserIds } = require('./moderation');
+
+// Average of the approved, visible reviews for the given books
+async function calculateRating(bookIds) {
+  const hiddenUserIds = await getHiddenUserIds();
+  const reviews = await Review.find({
+    book: { $in: bookIds },
+    status: 'approved',
+    user: { $nin: hiddenUserIds }
+  });
+
+  if (reviews.length === 0) {
+    return { averageRating: 0, ratingsCount: 0 };
+  }
+
+  const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
+  const averageRating = totalRating / reviews.length;
+
+  return {
+    averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal
+    ratingsCount: reviews.length
+  };
+}
+
+// Recalculate a work's rating from the reviews of all its editions and copy it
+// to every edition
+async function updateWorkRating(workId) {
+  try {
+    const editionIds = await Book.distinct('_id', { work: workId });
+    const rating = await calculateRating(editionIds);
+
+    await Work.findByIdAndUpdate(workId, rating);
+    await Book.updateMany({ work: workId }, rating);
+  } catch (error) {
+    console.error('Update work rating error:', error);
+  }
+}
+
+// Recalculate a book's average rating from its approved reviews (or its
+// work's, when the book is one edition of a work)
+async function updateBookRating(bookId) {
+  try {
+    const book = await Book.findById(bookId).select('work');
+    if (book && book.work) {
+      return updateWorkRating(book.work);
+    }
+
+    await Book.findByIdAndUpdate(bookId, await calculateRating([bookId]));
+  } catch (error) {
+    console.error('Update book rating error:', error);
+  }
+}
+
+module.exports = { updateBookRating, updateWorkRating };
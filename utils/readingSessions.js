@@ -0,0 +1,162 @@
+const ReadingSession = require('../models/ReadingSession');
+const UserBook = require('../models/UserBook');
+
+// Reading days are calendar days in the reader's time zone (UTC by default)
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// 'YYYY-MM-DD' of a date in the given time zone
+const dayKey = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+const addDays = (day, count) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Log a progress update as a session, from the previous page to the new one.
+// Nothing is logged when the reader didn't move forward or time a session.
+async function recordProgressSession(userBook, previousPage, { minutes } = {}) {
+  const endPage = userBook.progress.pagesRead || 0;
+  if (endPage <= previousPage && !minutes) {
+    return null;
+  }
+
+  return ReadingSession.create({
+    user: userBook.user,
+    book: userBook.book,
+    startPage: Math.min(previousPage, endPage),
+    endPage,
+    minutes,
+    source: 'progress'
+  });
+}
+
+// Move the library entry's progress forward to the end of a logged session
+function applySessionToProgress(userBook, session, totalPages) {
+  if (session.endPage <= (userBook.progress.pagesRead || 0)) {
+    return false;
+  }
+
+  userBook.progress.pagesRead = session.endPage;
+  if (totalPages > 0) {
+    userBook.progress.percentage = Math.min(100, Math.round((session.endPage / totalPages) * 100));
+  }
+  return true;
+}
+
+// Streaks, pace over the last `days` days and an estimated finish date for
+// each book being read
+async function getReadingStats(userId, { timeZone = 'UTC', days = 30 } = {}) {
+  const sessions = await ReadingSession.find({ user: userId })
+    .select('book pagesRead minutes date')
+    .sort({ date: 1 })
+    .lean();
+
+  const today = dayKey(new Date(), timeZone);
+  const periodStart = addDays(today, -(days - 1));
+
+  const readingDays = new Map();
+  for (const session of sessions) {
+    if (!session.pagesRead && !session.minutes) continue;
+
+    session.day = dayKey(session.date, timeZone);
+    const entry = readingDays.get(session.day) || { pages: 0, minutes: 0 };
+    entry.pages += session.pagesRead;
+    entry.minutes += session.minutes || 0;
+    readingDays.set(session.day, entry);
+  }
+
+  const sortedDays = [...readingDays.keys()].sort();
+
+  let longestStreak = 0;
+  let run = 0;
+  sortedDays.forEach((day, index) => {
+    run = index > 0 && addDays(sortedDays[index - 1], 1) === day ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  // A streak is still alive if the reader hasn't read yet today
+  let currentStreak = 0;
+  let day = readingDays.has(today) ? today : addDays(today, -1);
+  while (readingDays.has(day)) {
+    currentStreak++;
+    day = addDays(day, -1);
+  }
+
+  const period = { days, pages: 0, minutes: 0 };
+  for (const [readingDay, entry] of readingDays) {
+    if (readingDay >= periodStart && readingDay <= today) {
+      period.pages += entry.pages;
+      period.minutes += entry.minutes;
+    }
+  }
+  period.pagesPerDay = round1(period.pages / days);
+  period.minutesPerDay = round1(period.minutes / days);
+
+  const reading = await UserBook.find({ user: userId, shelf: 'currentlyReading' })
+    .populate('book', 'title author coverImage totalPages');
+
+  const currentlyReading = reading.filter(userBook => userBook.book).map(userBook => {
+    const { book } = userBook;
+    const bookSessions = sessions.filter(session => session.day && session.book.equals(book._id) && session.day >= periodStart);
+
+    // The pace on this book since it was started (within the period), or the
+    // overall pace for books without recent sessions
+    let pagesPerDay = period.pagesPerDay;
+    if (bookSessions.length > 0) {
+      const bookPages = bookSessions.reduce((sum, session) => sum + session.pagesRead, 0);
+      const bookDays = daysBetween(bookSessions[0].day, today) + 1;
+      pagesPerDay = round1(bookPages / bookDays) || pagesPerDay;
+    }
+
+    const pagesLeft = book.totalPages > 0 ? Math.max(0, book.totalPages - (userBook.progress.pagesRead || 0)) : null;
+    let estimatedFinish = null;
+    if (pagesLeft === 0) {
+      estimatedFinish = today;
+    } else if (pagesLeft && pagesPerDay > 0) {
+      estimatedFinish = addDays(today, Math.ceil(pagesLeft / pagesPerDay));
+    }
+
+    return {
+      book,
+      pagesRead: userBook.progress.pagesRead,
+      pagesLeft,
+      pagesPerDay,
+      estimatedFinish
+    };
+  });
+
+  return {
+    timeZone,
+    currentStreak,
+    longestStreak,
+    readingDays: sortedDays.length,
+    lastReadOn: sortedDays[sortedDays.length - 1] || null,
+    period,
+    currentlyReading
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  recordProgressSession,
+  applySessionToProgress,
+  getReadingStats
+};
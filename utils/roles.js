@@ -0,0 +1,50 @@
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const { PERMISSIONS, RETIRED_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+const cache = new Map();
+
+// Create the built-in roles that don't exist yet
+async function ensureDefaultRoles() {
+  await Role.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true
+    }
+  })));
+}
+
+// Strip permissions that no longer exist, so stored roles and keys validate
+async function removeRetiredPermissions() {
+  const retired = { $in: RETIRED_PERMISSIONS };
+  await Role.updateMany({ permissions: retired }, { $pull: { permissions: retired } });
+  await ApiKey.updateMany({ scopes: retired }, { $pull: { scopes: retired } });
+}
+
+// Permissions granted to a role name (cached briefly)
+async function getRolePermissions(roleName) {
+  if (roleName === 'admin') {
+    return PERMISSIONS;
+  }
+
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const fallback = DEFAULT_ROLES.find(defaultRole => defaultRole.name === roleName);
+  const granted = role ? role.permissions : (fallback ? fallback.permissions : []);
+  const permissions = [...new Set(granted)];
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL });
+  return permissions;
+}
+
+function clearRoleCache() {
+  cache.clear();
+}
+
+module.exports = { ensureDefaultRoles, removeRetiredPermissions, getRolePermissions, clearRoleCache };
@@ -0,0 +1,109 @@
+const Book = require('../models/Book');
+const UserBook = require('../models/UserBook');
+
+const hasPosition = (book) => typeof book.seriesPosition === 'number';
+
+// Books in reading order. Mongo sorts missing values first, so books without
+// a position are moved to the end here (in publication order).
+async function getSeriesBooks(seriesId, select = 'title author coverImage seriesPosition publishedYear averageRating') {
+  const books = await Book.find({ series: seriesId })
+    .select(select)
+    .sort({ seriesPosition: 1, publishedYear: 1, createdAt: 1 });
+
+  return [...books.filter(hasPosition), ...books.filter(book => !hasPosition(book))];
+}
+
+// Previous and next titles around a book in its series
+async function getSeriesNeighbors(book) {
+  if (!book.series || !hasPosition(book)) {
+    return { previous: null, next: null };
+  }
+
+  const seriesId = book.series._id || book.series;
+  const select = 'title author coverImage seriesPosition';
+
+  const [previous, next] = await Promise.all([
+    Book.findOne({ series: seriesId, seriesPosition: { $lt: book.seriesPosition } })
+      .select(select)
+      .sort({ seriesPosition: -1 }),
+    Book.findOne({ series: seriesId, seriesPosition: { $gt: book.seriesPosition } })
+      .select(select)
+      .sort({ seriesPosition: 1 })
+  ]);
+
+  return { previous, next };
+}
+
+// First book in reading order that the user hasn't read yet
+const findNextUp = (books, shelfByBook) => {
+  return books.find(book => shelfByBook.get(book._id.toString()) !== 'read') || null;
+};
+
+// Progress through every series the user has at least one book of
+async function getSeriesProgress(userId) {
+  const userBooks = await UserBook.find({ user: userId })
+    .populate({ path: 'book', select: 'series', populate: { path: 'series', select: 'name plannedCount' } });
+
+  const shelfByBook = new Map(userBooks
+    .filter(userBook => userBook.book)
+    .map(userBook => [userBook.book._id.toString(), userBook.shelf]));
+
+  const seriesById = new Map();
+  userBooks.forEach(userBook => {
+    if (userBook.book && userBook.book.series) {
+      seriesById.set(userBook.book.series._id.toString(), userBook.book.series);
+    }
+  });
+
+  const progress = [];
+  for (const series of seriesById.values()) {
+    const books = await getSeriesBooks(series._id, 'title author coverImage seriesPosition publishedYear');
+    const read = books.filter(book => shelfByBook.get(book._id.toString()) === 'read').length;
+    const reading = books.filter(book => shelfByBook.get(book._id.toString()) === 'currentlyReading').length;
+    const total = Math.max(books.length, series.plannedCount || 0);
+    const nextUp = findNextUp(books, shelfByBook);
+
+    progress.push({
+      series: { _id: series._id, name: series.name },
+      total,
+      read,
+      reading,
+      completed: read === total,
+      nextUp: nextUp
+        ? { ...nextUp.toObject(), shelf: shelfByBook.get(nextUp._id.toString()) || null }
+        : null,
+      summary: nextUp
+        ? `${read} of ${total} read, next up: ${nextUp.title}`
+        : `${read} of ${total} read`
+    });
+  }
+
+  // Series in progress first, then by name
+  return progress.sort((a, b) => (a.completed - b.completed) || a.series.name.localeCompare(b.series.name));
+}
+
+// After shelving a book, the next one in its series that the user hasn't read
+async function getNextInSeries(book, userId) {
+  if (!book.series) {
+    return null;
+  }
+
+  const books = await getSeriesBooks(book.series, 'title author coverImage seriesPosition publishedYear');
+  const userBooks = await UserBook.find({ user: userId, book: { $in: books.map(b => b._id) } })
+    .select('book shelf');
+  const shelfByBook = new Map(userBooks.map(userBook => [userBook.book.toString(), userBook.shelf]));
+
+  const index = books.findIndex(b => b._id.equals(book._id));
+  const nextUp = findNextUp(books.slice(index + 1), shelfByBook);
+
+  return nextUp
+    ? { ...nextUp.toObject(), shelf: shelfByBook.get(nextUp._id.toString()) || null }
+    : null;
+}
+
+module.exports = {
+  getSeriesBooks,
+  getSeriesNeighbors,
+  getSeriesProgress,
+  getNextInSeries
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const UserBook = require('../models/UserBook');
+
+// Book.shelvedCount holds how many readers have the book on each reading
+// status. Every change goes through an atomic $inc so concurrent requests
+// can't overwrite each other; reconcileShelfCounts repairs any drift.
+
+const READING_SHELVES = ['wantToRead', 'currentlyReading', 'read'];
+
+const emptyCounts = () => ({ wantToRead: 0, currentlyReading: 0, read: 0 });
+
+// Move one reader between shelves of a book. `from` or `to` is null when the
+// book is added to or removed from the library.
+async function moveShelfCount(bookId, from, to) {
+  if (from === to) {
+    return;
+  }
+
+  if (from) {
+    // Never go below zero; if the counter already drifted to 0, only add
+    const result = await Book.updateOne(
+      { _id: bookId, [`shelvedCount.${from}`]: { $gt: 0 } },
+      { $inc: { [`shelvedCount.${from}`]: -1, ...(to && { [`shelvedCount.${to}`]: 1 }) } }
+    );
+    if (result.matchedCount > 0 || !to) {
+      return;
+    }
+  }
+
+  await Book.updateOne({ _id: bookId }, { $inc: { [`shelvedCount.${to}`]: 1 } });
+}
+
+// Shelf counts per book computed from live library entries
+async function countShelves(bookIds) {
+  const match = bookIds
+    ? { book: { $in: bookIds.map(id => new mongoose.Types.ObjectId(String(id))) } }
+    : {};
+  const rows = await UserBook.aggregate([
+    { $match: match },
+    { $group: { _id: { book: '$book', shelf: '$shelf' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const { _id, count } of rows) {
+    const key = _id.book.toString();
+    if (!counts.has(key)) counts.set(key, emptyCounts());
+    counts.get(key)[_id.shelf] = count;
+  }
+  return counts;
+}
+
+// Recount one book's shelf counters from its library entries
+async function recountShelves(bookId) {
+  const counts = await countShelves([bookId]);
+  const shelvedCount = counts.get(bookId.toString()) || emptyCounts();
+  await Book.updateOne({ _id: bookId }, { shelvedCount });
+  return shelvedCount;
+}
+
+// Recompute shelvedCount for every book and report the books that had drifted.
+// With `dryRun` the drift is only reported. Trashed books are left alone: their
+// entries are trashed with them and come back, counted, on restore.
+async function reconcileShelfCounts({ dryRun = false } = {}) {
+  const counts = await countShelves();
+  const drift = [];
+  let checked = 0;
+
+  const books = Book.find().select('title shelvedCount').lean().cursor();
+  for await (const book of books) {
+    checked++;
+    const actual = counts.get(book._id.toString()) || emptyCounts();
+    const stored = book.shelvedCount || {};
+
+    const changes = READING_SHELVES
+      .filter(shelf => (stored[shelf] || 0) !== actual[shelf])
+      .map(shelf => ({ shelf, stored: stored[shelf] || 0, actual: actual[shelf] }));
+
+    if (changes.length > 0) {
+      drift.push({ book: book._id, title: book.title, changes });
+    }
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < drift.length; i += 500) {
+      await Book.bulkWrite(drift.slice(i, i + 500).map(({ book }) => ({
+        updateOne: {
+          filter: { _id: book },
+          update: { shelvedCount: counts.get(book.toString()) || emptyCounts() }
+        }
+      })));
+    }
+  }
+
+  return { checked, drifted: drift.length, fixed: dryRun ? 0 : drift.length, drift };
+}
+
+module.exports = {
+  READING_SHELVES,
+  moveShelfCount,
+  recountShelves,
+  reconcileShelfCounts
+};
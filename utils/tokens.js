@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const getRefreshTokenTtl = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10);
+  return (days > 0 ? days : 30) * DAY_MS;
+};
+
+// Generate a random opaque token (refresh tokens, reset links, etc.)
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only hashes of opaque tokens are stored in the database
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpiry() }
+  );
+};
+
+// Start a new session for a user and return its first refresh token
+const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  });
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Presenting an already rotated
+// token revokes the whole session, since it was most likely stolen.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateToken();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      userAgent: req.get('User-Agent') || '',
+      ip: req.ip || '',
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextRefreshToken };
+  }
+
+  await Session.updateOne(
+    { previousTokenHash: tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+  );
+
+  return null;
+};
+
+// Build the token part of the /login and /register responses
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await createSession(user, req);
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: getAccessTokenExpiry()
+  };
+};
+
+// Short-lived token proving the password step of a two-factor login. The
+// challenge id ties it to the one challenge stored on the user, which makes
+// it single-use.
+const signTwoFactorChallenge = (user, challengeId) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa_challenge', jti: challengeId },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Returns { userId, challengeId } of a valid challenge token, otherwise null
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa_challenge' || !decoded.jti) {
+      return null;
+    }
+    return { userId: decoded.userId, challengeId: decoded.jti };
+  } catch (error) {
+    return null;
+  }
+};
+
+const revokeSession = (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeUserSessions = (userId, reason = 'logout_all', exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  issueTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  revokeSession,
+  revokeUserSessions,
+  getAccessTokenExpiry
+};
@@ -0,0 +1,105 @@
+const Book = require('../models/Book');
+const BookRedirect = require('../models/BookRedirect');
+const Genre = require('../models/Genre');
+const Review = require('../models/Review');
+const ReadingSession = require('../models/ReadingSession');
+const Tutorial = require('../models/Tutorial');
+const UserBook = require('../models/UserBook');
+const { updateBookRating, updateWorkRating } = require('./ratings');
+const { removeImages } = require('./images');
+
+// Soft-deletable content, with the permission needed to manage its trash
+const TRASH_TYPES = {
+  books: { model: Book, permission: 'books:write', select: 'title author coverImage' },
+  genres: { model: Genre, permission: 'genres:write', select: 'name parent' },
+  reviews: { model: Review, permission: 'reviews:moderate', select: 'book user rating comment' },
+  tutorials: { model: Tutorial, permission: 'tutorials:write', select: 'title category' }
+};
+
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Move a book to the trash together with everyone's shelf entries and reviews
+async function trashBook(book, deletedBy) {
+  const cascade = { deletedBy, deletedWith: book._id };
+
+  await book.softDelete(deletedBy);
+  await UserBook.softDeleteMany({ book: book._id }, cascade);
+  await Review.softDeleteMany({ book: book._id }, cascade);
+
+  // The remaining editions lose this edition's reviews
+  if (book.work) {
+    await updateWorkRating(book.work);
+  }
+}
+
+async function trashReview(review, deletedBy) {
+  await review.softDelete(deletedBy);
+  await updateBookRating(review.book);
+}
+
+// Move any item to the trash
+async function trashItem(type, doc, deletedBy) {
+  if (type === 'books') return trashBook(doc, deletedBy);
+  if (type === 'reviews') return trashReview(doc, deletedBy);
+  return doc.softDelete(deletedBy);
+}
+
+// Restore an item and whatever was deleted along with it
+async function restoreItem(type, doc) {
+  await doc.restore();
+
+  if (type === 'books') {
+    await UserBook.restoreDeletedWith(doc._id);
+    await Review.restoreDeletedWith(doc._id);
+    await updateBookRating(doc._id);
+  } else if (type === 'reviews') {
+    await updateBookRating(doc.book);
+  }
+}
+
+// Permanently delete a trashed item and its related records
+async function purgeItem(type, doc) {
+  if (type === 'books') {
+    await UserBook.deleteMany({ book: doc._id });
+    await Review.deleteMany({ book: doc._id });
+    await BookRedirect.deleteMany({ to: doc._id });
+    await ReadingSession.deleteMany({ book: doc._id });
+  } else if (type === 'genres') {
+    // Children move up to this genre's parent
+    await Genre.updateMany({ parent: doc._id }, { parent: doc.parent });
+    await Genre.updateMany({ ancestors: doc._id }, { $pull: { ancestors: doc._id } });
+    await Book.updateMany({ genres: doc._id }, { $pull: { genres: doc._id } });
+  }
+
+  await TRASH_TYPES[type].model.deleteOne({ _id: doc._id });
+
+  if (type === 'books') {
+    await removeImages(doc.coverAssets);
+  }
+}
+
+// Purge everything that has been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    // Records deleted along with another item go when that item goes
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff }, deletedWith: null });
+    for (const doc of expired) {
+      await purgeItem(type, doc);
+    }
+    purged[type] = expired.length;
+  }
+
+  return purged;
+}
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  trashItem,
+  restoreItem,
+  purgeItem,
+  purgeExpiredTrash
+};
@@ -0,0 +1,58 @@
+const Book = require('../models/Book');
+const Work = require('../models/Work');
+const { updateBookRating, updateWorkRating } = require('./ratings');
+
+// Ids of every edition of the book's work (just the book when it has no work)
+async function getEditionIds(book) {
+  if (!book.work) {
+    return [book._id];
+  }
+  return Book.distinct('_id', { work: book.work._id || book.work });
+}
+
+// Move a book into a work, recalculating ratings on both sides
+async function attachEdition(work, book) {
+  const previousWorkId = book.work;
+
+  book.work = work._id;
+  await book.save();
+
+  await updateWorkRating(work._id);
+  if (previousWorkId && !previousWorkId.equals(work._id)) {
+    await updateWorkRating(previousWorkId);
+  }
+}
+
+// Take a book out of its work; it goes back to its own reviews and rating
+async function detachEdition(book) {
+  const workId = book.work;
+
+  book.work = null;
+  await book.save();
+
+  await updateBookRating(book._id);
+  if (workId) {
+    await updateWorkRating(workId);
+  }
+}
+
+// Create a work from an existing book and make the book its first edition
+async function createWorkFromBook(book, fields = {}) {
+  const work = await Work.create({
+    title: book.title,
+    author: book.author,
+    description: book.description,
+    originalPublishedYear: book.publishedYear,
+    ...fields
+  });
+
+  await attachEdition(work, book);
+  return work;
+}
+
+module.exports = {
+  getEditionIds,
+  attachEdition,
+  detachEdition,
+  createWorkFromBook
+};